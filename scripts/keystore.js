@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Encrypt the dev wallet key into a keystore file for DEV_SIGNER=keystore
+ *
+ * Usage: DEV_WALLET_PRIVATE_KEY=... DEV_KEYSTORE_PASSPHRASE=... node scripts/keystore.js <output.json>
+ */
+require('dotenv').config();
+const fs = require('fs');
+const bs58 = require('bs58');
+const { encryptKeystore } = require('../src/services/signer');
+
+const [output] = process.argv.slice(2);
+const { DEV_WALLET_PRIVATE_KEY, DEV_KEYSTORE_PASSPHRASE } = process.env;
+
+if (!output || !DEV_WALLET_PRIVATE_KEY || !DEV_KEYSTORE_PASSPHRASE) {
+    console.error('Usage: DEV_WALLET_PRIVATE_KEY=... DEV_KEYSTORE_PASSPHRASE=... node scripts/keystore.js <output.json>');
+    process.exit(1);
+}
+if (fs.existsSync(output)) {
+    console.error(`Refusing to overwrite ${output}`);
+    process.exit(1);
+}
+
+const keystore = encryptKeystore(bs58.decode(DEV_WALLET_PRIVATE_KEY), DEV_KEYSTORE_PASSPHRASE);
+fs.writeFileSync(output, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+console.log(`Keystore for ${keystore.publicKey} written to ${output}`);
+console.log('Remove DEV_WALLET_PRIVATE_KEY from your environment and set DEV_SIGNER=keystore, DEV_KEYSTORE_PATH.');
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Minimal remote signer for DEV_SIGNER=remote
+ * Holds the dev wallet key (keystore or env key) in its own process and signs
+ * transaction messages for the backend over HTTP on localhost.
+ *
+ * Usage: DEV_SIGNER=keystore DEV_KEYSTORE_PATH=... REMOTE_SIGNER_TOKEN=... node scripts/remote-signer.js
+ * Env: SIGNER_PORT (default 7777), SIGNER_HOST (default 127.0.0.1)
+ */
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const { createSigner } = require('../src/services/signer');
+
+const PORT = parseInt(process.env.SIGNER_PORT) || 7777;
+const HOST = process.env.SIGNER_HOST || '127.0.0.1';
+const TOKEN = process.env.REMOTE_SIGNER_TOKEN;
+
+const tokenMatches = (header) => {
+    const expected = Buffer.from(`Bearer ${TOKEN}`);
+    const given = Buffer.from(header || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+async function main() {
+    if (process.env.DEV_SIGNER === 'remote') throw new Error('The remote signer needs a local key (DEV_SIGNER=env or keystore)');
+    if (!TOKEN) throw new Error('REMOTE_SIGNER_TOKEN is required');
+
+    const signer = await createSigner();
+    const app = express();
+    app.use(express.json({ limit: '16kb' }));
+
+    app.use((req, res, next) => {
+        if (!tokenMatches(req.headers.authorization)) return res.status(401).json({ error: 'Unauthorized' });
+        next();
+    });
+
+    app.get('/public-key', (req, res) => {
+        res.json({ publicKey: signer.publicKey.toBase58() });
+    });
+
+    app.post('/sign', async (req, res) => {
+        const { message } = req.body || {};
+        if (typeof message !== 'string') return res.status(400).json({ error: 'Missing message' });
+        try {
+            const signature = await signer.sign(Buffer.from(message, 'base64'));
+            console.log(`[signer] signed ${Buffer.byteLength(message, 'base64')} byte message`);
+            res.json({ signature: Buffer.from(signature).toString('base64') });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    app.listen(PORT, HOST, () => console.log(`Remote signer for ${signer.publicKey.toBase58()} on http://${HOST}:${PORT}`));
+}
+
+main().catch((e) => {
+    console.error(`Remote signer failed: ${e.message}`);
+    process.exit(1);
+});
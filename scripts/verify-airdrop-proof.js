@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Check an airdrop Merkle proof offline
+ *
+ * Usage: node scripts/verify-airdrop-proof.js <proof.json> [expected-root]
+ * <proof.json> is the response of GET /api/airdrops/:epoch/proof/:pubkey. Pass the
+ * root from the on-chain memo as expected-root to not rely on the one in the file.
+ */
+const fs = require('fs');
+const { verifyProof } = require('../src/services/merkle');
+
+const [file, expectedRoot] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/verify-airdrop-proof.js <proof.json> [expected-root]');
+    process.exit(1);
+}
+
+const proof = JSON.parse(fs.readFileSync(file, 'utf8'));
+const root = expectedRoot || proof.merkleRoot;
+let ok = true;
+for (const payout of proof.payouts) {
+    const valid = verifyProof({ pubkey: proof.pubkey, amount: payout.amount, isKoth: payout.isKoth }, payout.proof, root);
+    ok = ok && valid;
+    console.log(`${valid ? 'OK     ' : 'INVALID'} epoch ${proof.epoch}: ${proof.pubkey} ${payout.amount}${payout.isKoth ? ' (KOTH)' : ''}`);
+}
+console.log(`Root ${root}`);
+process.exit(ok ? 0 : 1);
@@ -55,6 +55,9 @@ const PROGRAMS = {
 
     // Mayhem
     MAYHEM: safePublicKey("MAyhSmzXzV1pTf7LsNkrNwkWKTo4ougAJ1PPg47MD4e", "MAyhSmzXzV1pTf7LsNkrNwkWKTo4ougAJ1PPg47MD4e", "MAYHEM_PROGRAM_ID"),
+
+    // SPL Memo
+    MEMO: safePublicKey("MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr", "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr", "MEMO_PROGRAM_ID"),
 };
 
 // Mayhem Accounts
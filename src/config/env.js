@@ -4,13 +4,54 @@
  */
 require('dotenv').config();
 
-// Environment validation
-const requiredEnvVars = ['DEV_WALLET_PRIVATE_KEY'];
+// Environment validation (the dev wallet key source depends on the signer backend)
+const signerEnvVars = {
+    env: ['DEV_WALLET_PRIVATE_KEY'],
+    keystore: ['DEV_KEYSTORE_PATH'],
+    remote: ['REMOTE_SIGNER_URL'],
+};
+const requiredEnvVars = signerEnvVars[process.env.DEV_SIGNER || 'env'] || [];
 const missingVars = requiredEnvVars.filter(v => !process.env[v]);
 if (missingVars.length > 0) {
     console.error(`FATAL: Missing required environment variables: ${missingVars.join(', ')}`);
     process.exit(1);
 }
+// PUMP has no canonical (migrated bonding curve) pool, so the Pump AMM route needs one named
+if (process.env.BUYBACK_ROUTE === 'pump_amm' && !process.env.BUYBACK_PUMP_AMM_POOL) {
+    console.error('FATAL: BUYBACK_ROUTE=pump_amm requires BUYBACK_PUMP_AMM_POOL');
+    process.exit(1);
+}
+
+/**
+ * Signer settings for a role wallet from its <PREFIX>_* variables (same names as
+ * the dev wallet's). The backend is inferred from which key source is set.
+ * Returns null when nothing is set: the role then uses the dev wallet.
+ */
+function roleSignerConfig(prefix) {
+    const env = (name) => process.env[`${prefix}_${name}`];
+    const signer = env('SIGNER')
+        || (env('WALLET_PRIVATE_KEY') && 'env')
+        || (env('KEYSTORE_PATH') && 'keystore')
+        || (env('REMOTE_SIGNER_URL') && 'remote');
+    if (!signer) return null;
+    return {
+        signer,
+        privateKey: env('WALLET_PRIVATE_KEY'),
+        publicKey: env('WALLET_PUBLIC_KEY'),
+        keystorePath: env('KEYSTORE_PATH'),
+        keystorePassphrase: env('KEYSTORE_PASSPHRASE'),
+        remoteUrl: env('REMOTE_SIGNER_URL'),
+        remoteToken: env('REMOTE_SIGNER_TOKEN')
+    };
+}
+
+/**
+ * Numeric variable that may legitimately be 0 (`|| default` would replace it)
+ */
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
 
 const config = {
     // Server
@@ -29,13 +70,115 @@ const config = {
             : "https://api.mainnet-beta.solana.com";
     },
 
+    // Extra RPC endpoints for the failover pool (comma-separated). Heavy scans
+    // (getProgramAccounts) and transaction sending can be routed to their own endpoints.
+    RPC_URLS: process.env.RPC_URLS?.split(',').map(s => s.trim()).filter(Boolean) || [],
+    RPC_HEAVY_URLS: process.env.RPC_HEAVY_URLS?.split(',').map(s => s.trim()).filter(Boolean) || [],
+    RPC_SEND_URLS: process.env.RPC_SEND_URLS?.split(',').map(s => s.trim()).filter(Boolean) || [],
+    RPC_TIMEOUT_MS: 20000,
+    RPC_HEAVY_TIMEOUT_MS: 120000,
+    RPC_FAILURE_THRESHOLD: 3,
+    RPC_COOLDOWN_MS: 30000,
+
     // Wallet
+    // Signer backend: env (DEV_WALLET_PRIVATE_KEY), keystore (encrypted file) or remote (HTTP signer)
+    DEV_SIGNER: process.env.DEV_SIGNER || 'env',
     DEV_WALLET_PRIVATE_KEY: process.env.DEV_WALLET_PRIVATE_KEY,
+    DEV_WALLET_PUBLIC_KEY: process.env.DEV_WALLET_PUBLIC_KEY,
+    DEV_KEYSTORE_PATH: process.env.DEV_KEYSTORE_PATH,
+    DEV_KEYSTORE_PASSPHRASE: process.env.DEV_KEYSTORE_PASSPHRASE,
+    REMOTE_SIGNER_URL: process.env.REMOTE_SIGNER_URL,
+    REMOTE_SIGNER_TOKEN: process.env.REMOTE_SIGNER_TOKEN,
+    REMOTE_SIGNER_TIMEOUT_MS: 10000,
+
+    // Role wallets. The dev wallet is the deployer/creator; fee intake, buyback
+    // treasury and airdrop distributor use it too unless given their own signer
+    // (FEE_INTAKE_*, TREASURY_*, AIRDROP_* variables, see roleSignerConfig)
+    FEE_INTAKE_WALLET: roleSignerConfig('FEE_INTAKE'),
+    TREASURY_WALLET: roleSignerConfig('TREASURY'),
+    AIRDROP_WALLET: roleSignerConfig('AIRDROP'),
+    // Minimum-balance guards: no role spends below its floor
+    DEPLOYER_MIN_BALANCE_SOL: envNumber('DEPLOYER_MIN_BALANCE_SOL', 0.05),
+    FEE_INTAKE_MIN_BALANCE_SOL: envNumber('FEE_INTAKE_MIN_BALANCE_SOL', 0.005),
+    TREASURY_MIN_BALANCE_SOL: envNumber('TREASURY_MIN_BALANCE_SOL', 0.05),
+    AIRDROP_MIN_BALANCE_SOL: envNumber('AIRDROP_MIN_BALANCE_SOL', 0.05),
+    // Flywheel sweeps: fee intake keeps this much for refunds and sends the rest
+    // to the deployer; deployer surplus above its target goes to the treasury
+    FEE_INTAKE_REFUND_RESERVE_SOL: envNumber('FEE_INTAKE_REFUND_RESERVE_SOL', 0.2),
+    DEPLOYER_TARGET_BALANCE_SOL: envNumber('DEPLOYER_TARGET_BALANCE_SOL', 0.5),
+    // Smaller moves between role wallets are not worth a transaction
+    WALLET_TRANSFER_MIN_SOL: 0.01,
 
     // Fees & Transactions
     PRIORITY_FEE_MICRO_LAMPORTS: 100000,
+    PRIORITY_FEE_PERCENTILE: parseInt(process.env.PRIORITY_FEE_PERCENTILE) || 75,
+    PRIORITY_FEE_MIN_MICRO_LAMPORTS: parseInt(process.env.PRIORITY_FEE_MIN_MICRO_LAMPORTS) || 10000,
+    PRIORITY_FEE_MAX_MICRO_LAMPORTS: parseInt(process.env.PRIORITY_FEE_MAX_MICRO_LAMPORTS) || 2000000,
+    PRIORITY_FEE_CACHE_MS: 10000,
+    COMPUTE_UNIT_MARGIN: 0.15,
+    COMPUTE_UNIT_FALLBACK: 300000,
+    TX_REBROADCAST_INTERVAL_MS: 2000,
+    TX_STATUS_MAX_ERRORS: 10,
+    // Compute limit for the user's fee payment (transfer + compute budget)
+    PAYMENT_COMPUTE_UNITS: 1000,
     DEPLOYMENT_FEE_SOL: 0.02,
-    FEE_THRESHOLD_SOL: 0.20,
+    PAYMENT_MAX_AGE_SECONDS: parseInt(process.env.PAYMENT_MAX_AGE_SECONDS) || 3600,
+    REFUND_DEDUCTION_SOL: 0.001,
+    REFUND_MAX_ATTEMPTS: 5,
+    REFUND_RETRY_INTERVAL: 300000,
+
+    // Flywheel defaults; admins can override them at runtime (services/flywheelSettings)
+    FEE_THRESHOLD_SOL: parseFloat(process.env.FEE_THRESHOLD_SOL) || 0.20,
+    FLYWHEEL_BUYBACK_SHARE: envNumber('FLYWHEEL_BUYBACK_SHARE', 0.95),
+    FLYWHEEL_ASDF_FEE_SHARE: envNumber('FLYWHEEL_ASDF_FEE_SHARE', 0.045),
+    FLYWHEEL_UPKEEP_SHARE: envNumber('FLYWHEEL_UPKEEP_SHARE', 0.005),
+    FLYWHEEL_RESERVE_SOL: envNumber('FLYWHEEL_RESERVE_SOL', 1),
+    FLYWHEEL_MAX_BUY_SOL: parseFloat(process.env.FLYWHEEL_MAX_BUY_SOL) || 5,
+    FLYWHEEL_INTERVAL_MS: parseInt(process.env.FLYWHEEL_INTERVAL_MS) || 5 * 60 * 1000,
+    AIRDROP_THRESHOLD_PUMP: parseFloat(process.env.AIRDROP_THRESHOLD_PUMP) || 50000,
+    // Smaller airdrop shares are carried over until they add up to this (PUMP)
+    AIRDROP_MIN_PAYOUT_PUMP: envNumber('AIRDROP_MIN_PAYOUT_PUMP', 100),
+    // Sends per airdrop batch before it is given up on (retried on later cycles)
+    AIRDROP_BATCH_MAX_ATTEMPTS: 5,
+    // Also post each airdrop's Merkle root on-chain in a memo from the airdrop wallet
+    AIRDROP_MERKLE_MEMO: process.env.AIRDROP_MERKLE_MEMO === 'true',
+    KOTH_SHARE: envNumber('KOTH_SHARE', 0.10),
+    // Buyback swap guards: quotes with more price impact, or priced further below a
+    // small reference quote taken just before, are not sent (percentages)
+    BUYBACK_SLIPPAGE_BPS: parseInt(process.env.BUYBACK_SLIPPAGE_BPS) || 100,
+    BUYBACK_MAX_PRICE_IMPACT_PCT: parseFloat(process.env.BUYBACK_MAX_PRICE_IMPACT_PCT) || 2,
+    BUYBACK_MAX_PRICE_DEVIATION_PCT: parseFloat(process.env.BUYBACK_MAX_PRICE_DEVIATION_PCT) || 3,
+    BUYBACK_REFERENCE_QUOTE_SOL: 0.01,
+    // Where buybacks are swapped: jupiter, pump_amm (the pool directly) or
+    // auto (Jupiter, falling back to the Pump AMM when Jupiter fails)
+    BUYBACK_ROUTE: process.env.BUYBACK_ROUTE || 'auto',
+    // Pump AMM PUMP/SOL pool to buy from; without it auto only uses Jupiter
+    BUYBACK_PUMP_AMM_POOL: process.env.BUYBACK_PUMP_AMM_POOL || null,
+    // DCA: buybacks larger than one slice are queued and bought a slice per interval;
+    // a slice is held back while its price is this much worse than the previous fill
+    BUYBACK_DCA_SLICE_SOL: envNumber('BUYBACK_DCA_SLICE_SOL', 1),
+    BUYBACK_DCA_INTERVAL_MS: parseInt(process.env.BUYBACK_DCA_INTERVAL_MS) || 60 * 1000,
+    BUYBACK_DCA_MAX_SLICE_DEVIATION_PCT: parseFloat(process.env.BUYBACK_DCA_MAX_SLICE_DEVIATION_PCT) || 2,
+    BUYBACK_DCA_TICK_MS: 15000,
+
+    // Scheduled launches
+    SCHEDULE_MIN_LEAD_MS: 60 * 1000,
+    SCHEDULE_MAX_LEAD_MS: 7 * 24 * 60 * 60 * 1000,
+
+    // Deploy jobs active longer than this are reported as stalled
+    DEPLOY_STALLED_AFTER_MS: 10 * 60 * 1000,
+
+    // Initial buy made in the launch transaction
+    DEV_BUY_SOL: 0.01,
+
+    // User-as-creator launches: how often to check for the user's transaction
+    USER_DEPLOY_POLL_MS: 3000,
+
+    // Dev-buy sell step (post-launch)
+    DEV_SELL_DELAY_MS: 1500,
+    DEV_SELL_ATTEMPTS: 5,
+    DEV_SELL_SWEEP_INTERVAL: parseInt(process.env.DEV_SELL_SWEEP_INTERVAL) || 600000,
+    DEV_SELL_MAX_SWEEPS: 3,
 
     // Update Intervals (ms)
     HOLDER_UPDATE_INTERVAL: parseInt(process.env.HOLDER_UPDATE_INTERVAL) || 120000,
@@ -8,15 +8,12 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { Connection, Keypair, LAMPORTS_PER_SOL, Transaction, SystemProgram } = require('@solana/web3.js');
-const { Wallet } = require('@coral-xyz/anchor');
-const bs58 = require('bs58');
 const fs = require('fs');
 const path = require('path');
 
 // Internal imports
 const config = require('./config/env');
-const { logger, database, redis, twitter, solana } = require('./services');
+const { logger, database, redis, twitter, solana, wallets, flywheelSettings } = require('./services');
 const routes = require('./routes');
 const tasks = require('./tasks');
 
@@ -36,6 +33,9 @@ const globalState = {
 async function main() {
     logger.info(`Starting ASDev ${config.VERSION}...`);
 
+    const settingErrors = flywheelSettings.checkDefaults();
+    if (settingErrors.length > 0) throw new Error(`Invalid flywheel env defaults: ${settingErrors.join('; ')}`);
+
     // Initialize database
     await database.initDB();
     const db = database.getDB();
@@ -46,10 +46,11 @@ async function main() {
     // Initialize Twitter
     twitter.init();
 
-    // Initialize Solana connection
-    const connection = new Connection(config.RPC_URL, "confirmed");
-    const devKeypair = Keypair.fromSecretKey(bs58.decode(config.DEV_WALLET_PRIVATE_KEY));
-    const wallet = new Wallet(devKeypair);
+    // Solana connection (pooled across the configured RPC endpoints)
+    const connection = solana.connection;
+    // Role wallet signers (env key, keystore or remote); the dev wallet is the
+    // deployer/creator and exposes publicKey like a Keypair
+    const devKeypair = await wallets.initWallets();
 
     logger.info(`Network: ${config.SOLANA_NETWORK.toUpperCase()} | RPC: ${config.RPC_URL.includes('devnet') ? 'Devnet' : (config.HELIUS_API_KEY ? 'Helius' : 'Public Mainnet')}`);
     logger.info(`Wallet: ${devKeypair.publicKey.toString()}`);
@@ -89,7 +90,10 @@ async function main() {
         max: 10,
         message: { error: 'Too many deployment requests, please wait' },
         standardHeaders: true,
-        legacyHeaders: false
+        legacyHeaders: false,
+        // Polls for a payment that isn't finalized yet (see routes/deploy) don't count
+        skipFailedRequests: true,
+        requestWasSuccessful: (req, res) => !res.locals.paymentPending
     });
 
     app.use('/api/', apiLimiter);
@@ -100,32 +104,10 @@ async function main() {
         res.sendFile(path.join(__dirname, '..', 'asdev_frontend.html'));
     });
 
-
-    const refundUser = async (userPubkeyStr, reason) => {
-        try {
-            const { PublicKey } = require('@solana/web3.js');
-            const userPubkey = new PublicKey(userPubkeyStr);
-            const tx = new Transaction();
-            solana.addPriorityFee(tx);
-            tx.add(SystemProgram.transfer({
-                fromPubkey: devKeypair.publicKey,
-                toPubkey: userPubkey,
-                lamports: (config.DEPLOYMENT_FEE_SOL - 0.001) * LAMPORTS_PER_SOL
-            }));
-            const sig = await solana.sendTxWithRetry(tx, [devKeypair]);
-            logger.info(`REFUNDED ${userPubkeyStr}: ${sig} (Reason: ${reason})`);
-            return sig;
-        } catch (e) {
-            logger.error(`REFUND FAILED: ${e.message}`);
-            return null;
-        }
-    };
-
     // Dependencies object for modules
     const deps = {
         connection,
         devKeypair,
-        wallet,
         db,
         redis,
         globalState,
@@ -135,8 +117,15 @@ async function main() {
         recordClaim: database.recordClaim,
         updateNextCheckTime: database.updateNextCheckTime,
         logPurchase: database.logPurchase,
+        logFlywheelCycle: database.logFlywheelCycle,
         saveTokenData: database.saveTokenData,
-        refundUser,
+        recordTransaction: database.recordTransaction,
+        releaseTransaction: database.releaseTransaction,
+        getDeployJob: database.getDeployJob,
+        getDeployJobsByUser: database.getDeployJobsByUser,
+        getScheduledDeploys: database.getScheduledDeploys,
+        listRefunds: database.listRefunds,
+        getRefund: database.getRefund,
     };
 
     // Register routes
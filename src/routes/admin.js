@@ -0,0 +1,323 @@
+/**
+ * Admin Routes
+ * Operational endpoints (refunds, dead-lettered deploy jobs, transaction ledger,
+ * flywheel settings and preview, DCA buyback orders), protected by the admin API key
+ */
+const express = require('express');
+const config = require('../config/env');
+const { refunds, redis, database, logger, ledger, flywheelSettings, buybackOrders } = require('../services');
+const flywheel = require('../tasks/flywheel');
+const { adminAuth } = require('./health');
+const { parseTimeParam } = require('./solana');
+
+const router = express.Router();
+
+const REFUND_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+const BUYBACK_ORDER_STATUSES = ['active', 'completed', 'cancelled'];
+
+const LEDGER_COLUMNS = ['createdAt', 'signature', 'purpose', 'status', 'wallet', 'mint', 'userPubkey', 'jobId', 'lamportsDelta', 'feeLamports', 'tokenDeltas', 'error'];
+const LEDGER_EXPORT_MAX_ROWS = 50000;
+
+// Ledger filters from the query string
+function parseLedgerFilters(query) {
+    return {
+        purpose: query.purpose || null,
+        status: query.status || null,
+        mint: query.mint || null,
+        userPubkey: query.userPubkey || null,
+        from: parseTimeParam(query.from),
+        to: parseTimeParam(query.to)
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Initialize routes with dependencies
+ */
+function init(deps) {
+    const { listRefunds, getRefund, getDeployJob } = deps;
+
+    router.use(adminAuth);
+
+    // List refunds (defaults to everything not yet sent)
+    router.get('/refunds', async (req, res) => {
+        const statuses = req.query.status
+            ? String(req.query.status).split(',').map(s => s.trim())
+            : ['pending', 'sending', 'failed'];
+        if (statuses.some(s => !REFUND_STATUSES.includes(s))) {
+            return res.status(400).json({ error: `Invalid status. Use one of: ${REFUND_STATUSES.join(', ')}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        try {
+            const rows = await listRefunds({ statuses, limit, offset });
+            res.json({ refunds: rows, limit, offset });
+        } catch (e) {
+            logger.error("Admin Refund List Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Re-trigger a refund
+    router.post('/refunds/:paymentSignature/retry', async (req, res) => {
+        try {
+            const force = req.body?.force === true;
+            const result = await refunds.retryRefund(req.params.paymentSignature, { force });
+            if (result.error) {
+                const status = result.error === 'Refund not found' ? 404 : 409;
+                return res.status(status).json(result);
+            }
+            res.json({ success: true, signature: result.signature });
+        } catch (e) {
+            logger.error("Admin Refund Retry Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Summarize a BullMQ deploy job together with its DB record and refund
+    const describeDeployJob = async (job, state) => {
+        const record = await getDeployJob(job.id);
+        const paymentSignature = job.data.paymentSignature || `job:${job.id}`;
+        const refund = await getRefund(paymentSignature);
+        return {
+            id: job.id,
+            state,
+            data: job.data,
+            failedReason: job.failedReason || null,
+            attemptsMade: job.attemptsMade,
+            createdAt: job.timestamp,
+            processedOn: job.processedOn || null,
+            finishedOn: job.finishedOn || null,
+            stage: record?.stage || null,
+            mint: record?.mint || null,
+            refund: refund ? { status: refund.status, signature: refund.signature, attempts: refund.attempts } : null
+        };
+    };
+
+    // List failed and stalled deploy jobs
+    router.get('/deploy-jobs', async (req, res) => {
+        const queue = redis.getDeployQueue();
+        if (!queue) return res.status(503).json({ error: "Deploy queue not initialized" });
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        try {
+            const failed = await queue.getJobs(['failed'], offset, offset + limit - 1);
+            const active = await queue.getJobs(['active']);
+            const stalledBefore = Date.now() - config.DEPLOY_STALLED_AFTER_MS;
+            const stalled = active.filter(j => j.processedOn && j.processedOn < stalledBefore);
+
+            res.json({
+                failed: await Promise.all(failed.filter(Boolean).map(j => describeDeployJob(j, 'failed'))),
+                stalled: await Promise.all(stalled.map(j => describeDeployJob(j, 'stalled'))),
+                limit,
+                offset
+            });
+        } catch (e) {
+            logger.error("Admin Deploy Jobs Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Requeue a failed deploy job with its original payment
+    router.post('/deploy-jobs/:id/requeue', async (req, res) => {
+        try {
+            const job = await redis.getJob(req.params.id);
+            if (!job) return res.status(404).json({ error: "Job not found" });
+
+            const state = await job.getState();
+            if (state !== 'failed') return res.status(409).json({ error: `Only failed jobs can be requeued (job is ${state})` });
+
+            // A token that already landed must not be created twice
+            const record = await getDeployJob(job.id);
+            if (record?.signature) {
+                return res.status(409).json({ error: "Token was already created for this job", mint: record.mint, signature: record.signature });
+            }
+            // ...nor while an earlier create transaction may still have landed
+            const { entries } = await database.listLedger({ purpose: ledger.LEDGER_PURPOSES.DEPLOY, jobId: job.id }, { limit: 50 });
+            const unresolved = entries.find(e => !['failed', 'expired'].includes(e.status));
+            if (unresolved) {
+                return res.status(409).json({ error: `Create transaction is ${unresolved.status}, resolve it before requeueing`, signature: unresolved.signature });
+            }
+
+            // The user must not get both a refund and a launch for one payment
+            const paymentSignature = job.data.paymentSignature || `job:${job.id}`;
+            const refund = await getRefund(paymentSignature);
+            if (refund && ['sent', 'sending'].includes(refund.status)) {
+                return res.status(409).json({ error: `Payment already refunded (${refund.status})`, refundSignature: refund.signature });
+            }
+            if (refund) await database.cancelRefund(paymentSignature);
+
+            await job.retry('failed');
+            await database.recordDeployStage(job.id, database.DEPLOY_STAGES.REQUEUED, { status: 'queued' });
+            logger.info(`Admin requeued deploy job ${job.id}`);
+
+            res.json({ success: true, id: job.id, refundCancelled: !!refund });
+        } catch (e) {
+            logger.error("Admin Requeue Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Mark a failed or stalled deploy job as abandoned and drop it from the queue
+    router.post('/deploy-jobs/:id/abandon', async (req, res) => {
+        try {
+            const job = await redis.getJob(req.params.id);
+            if (!job) return res.status(404).json({ error: "Job not found" });
+
+            // Scheduled launches are cancelled (and refunded) by their user instead
+            const state = await job.getState();
+            const stalled = state === 'active' && job.processedOn && job.processedOn < Date.now() - config.DEPLOY_STALLED_AFTER_MS;
+            if (state !== 'failed' && !stalled) {
+                return res.status(409).json({ error: `Only failed or stalled jobs can be abandoned (job is ${state})` });
+            }
+
+            try {
+                await job.remove();
+            } catch (e) {
+                // Still locked by a worker that may deploy the token
+                logger.warn(`Could not remove deploy job ${job.id} from queue`, { error: e.message });
+                return res.status(409).json({ error: "Job is locked by a worker" });
+            }
+
+            const reason = req.body?.reason || 'Abandoned by admin';
+            await database.recordDeployStage(job.id, database.DEPLOY_STAGES.ABANDONED, { status: 'abandoned', error: reason });
+
+            logger.info(`Admin abandoned deploy job ${job.id}`, { reason });
+            res.json({ success: true, id: job.id });
+        } catch (e) {
+            logger.error("Admin Abandon Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Outgoing transaction ledger (paginated)
+    router.get('/ledger', async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        try {
+            const { entries, total } = await database.listLedger(parseLedgerFilters(req.query), { limit, offset });
+            res.json({ entries, total, limit, offset });
+        } catch (e) {
+            logger.error("Admin Ledger Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Ledger CSV export, same filters as /ledger
+    router.get('/ledger.csv', async (req, res) => {
+        try {
+            const filters = parseLedgerFilters(req.query);
+            const lines = [LEDGER_COLUMNS.join(',')];
+            for (let offset = 0; offset < LEDGER_EXPORT_MAX_ROWS; offset += 1000) {
+                const { entries } = await database.listLedger(filters, { limit: 1000, offset });
+                for (const entry of entries) {
+                    const row = { ...entry, createdAt: new Date(entry.createdAt).toISOString() };
+                    lines.push(LEDGER_COLUMNS.map(c => csvCell(row[c])).join(','));
+                }
+                if (entries.length < 1000) break;
+            }
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename="tx-ledger.csv"');
+            res.send(lines.join('\n') + '\n');
+        } catch (e) {
+            logger.error("Admin Ledger Export Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Effective flywheel settings, which of them are overridden, and their allowed ranges
+    router.get('/flywheel/settings', async (req, res) => {
+        try {
+            const { settings, overrides } = await flywheelSettings.getSettingsDetail();
+            res.json({ settings, overrides, definitions: flywheelSettings.describeSettings() });
+        } catch (e) {
+            logger.error("Admin Flywheel Settings Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Change flywheel settings: { settings: { key: value | null }, reason, actor }.
+    // null restores the default; changes apply from the next cycle.
+    router.put('/flywheel/settings', async (req, res) => {
+        try {
+            const actor = typeof req.body?.actor === 'string' && req.body.actor.trim()
+                ? req.body.actor.trim().slice(0, 64)
+                : `admin@${req.ip}`;
+            const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+            const result = await flywheelSettings.updateSettings(req.body?.settings, { actor, reason });
+            if (result.errors) return res.status(400).json({ error: "Invalid settings", errors: result.errors });
+            res.json({ success: true, settings: result.settings, changed: result.changed });
+        } catch (e) {
+            logger.error("Admin Flywheel Settings Update Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Audit log of flywheel settings changes (newest first)
+    router.get('/flywheel/settings/audit', async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        try {
+            const entries = await flywheelSettings.listAudit({ key: req.query.key || null, limit, offset });
+            res.json({ entries, limit, offset });
+        } catch (e) {
+            logger.error("Admin Flywheel Audit Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Dry run of the next flywheel cycle with current balances and settings (sends nothing)
+    router.get('/flywheel/preview', async (req, res) => {
+        try {
+            res.json(await flywheel.previewCycle(deps));
+        } catch (e) {
+            logger.error("Admin Flywheel Preview Error", { error: e.message });
+            res.status(500).json({ error: "Preview failed", message: e.message });
+        }
+    });
+
+    // DCA buyback orders with their fills (newest first)
+    router.get('/buyback-orders', async (req, res) => {
+        const status = req.query.status || null;
+        if (status && !BUYBACK_ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use one of: ${BUYBACK_ORDER_STATUSES.join(', ')}` });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        try {
+            const orders = await buybackOrders.listOrders({ status, limit, offset });
+            res.json({ orders, limit, offset });
+        } catch (e) {
+            logger.error("Admin Buyback Order List Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Stop an active DCA order; its unfilled SOL goes back to the flywheel
+    router.post('/buyback-orders/:id/cancel', async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            if (!await buybackOrders.cancelOrder(id)) {
+                return res.status(404).json({ error: "No active order with that id" });
+            }
+            res.json({ success: true, id });
+        } catch (e) {
+            logger.error("Admin Buyback Order Cancel Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
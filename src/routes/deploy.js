@@ -3,18 +3,36 @@
  * Token deployment and metadata preparation endpoints
  */
 const express = require('express');
-const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PublicKey, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const config = require('../config/env');
-const { pinata, moderation, vanity, redis, logger } = require('../services');
+const { pinata, moderation, vanity, redis, logger, payments, refunds, solana, database, pump, fees, wallets } = require('../services');
 const { isValidPubkey } = require('./solana');
 
 const router = express.Router();
 
+// Message a wallet must sign to cancel its scheduled launch
+const cancelMessage = (jobId) => `Cancel scheduled ASDev launch ${jobId}`;
+
+/**
+ * Parse an optional launchAt (ms timestamp or ISO string)
+ * Returns { launchAt } (null for immediate) or { error }
+ */
+function parseLaunchAt(value) {
+    if (value === undefined || value === null || value === '') return { launchAt: null };
+    const launchAt = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(launchAt)) return { error: "Invalid launchAt timestamp" };
+
+    const lead = launchAt - Date.now();
+    if (lead < config.SCHEDULE_MIN_LEAD_MS) return { error: `launchAt must be at least ${config.SCHEDULE_MIN_LEAD_MS / 1000}s in the future` };
+    if (lead > config.SCHEDULE_MAX_LEAD_MS) return { error: `launchAt must be within ${config.SCHEDULE_MAX_LEAD_MS / 3600000}h` };
+    return { launchAt };
+}
+
 /**
  * Initialize routes with dependencies
  */
 function init(deps) {
-    const { connection, devKeypair, db, addFees } = deps;
+    const { connection, db, addFees, recordTransaction, releaseTransaction, getDeployJob, getDeployJobsByUser, getScheduledDeploys } = deps;
 
     // Test vanity grinder
     router.get('/test-vanity', async (req, res) => {
@@ -55,23 +73,69 @@ function init(deps) {
         try {
             // ACCEPT imageUrl explicitly
             const { name, ticker, description, twitter, website, metadataUri, imageUrl, userTx, userPubkey, isMayhemMode } = req.body;
+            const { launchAt, error: launchAtError } = parseLaunchAt(req.body.launchAt);
+            if (launchAtError) return res.status(400).json({ error: launchAtError });
+            const creatorMode = req.body.creatorMode || 'backend';
+            if (!['backend', 'user'].includes(creatorMode)) return res.status(400).json({ error: "creatorMode must be 'backend' or 'user'" });
+            if (creatorMode === 'user' && launchAt) return res.status(400).json({ error: "User-as-creator launches cannot be scheduled" });
 
             if (!metadataUri) return res.status(400).json({ error: "Missing metadata URI" });
             if (!userPubkey || !isValidPubkey(userPubkey)) return res.status(400).json({ error: "Invalid Address" });
-            
-            // Transaction verification logic (simplified for brevity, keep your existing logic)
-            // ... (keep existing payment verification loop) ...
-            
-            // Assume payment verified for this file replacement context:
-            // In real file, keep the verification loop here.
-            
+            if (!userTx || typeof userTx !== 'string') return res.status(400).json({ error: "Missing payment signature", code: payments.PAYMENT_ERRORS.NOT_FOUND });
+
+            // Verify the fee payment on-chain
+            const payment = await payments.verifyPayment(connection, {
+                signature: userTx,
+                payer: new PublicKey(userPubkey),
+                recipient: wallets.getWallet(wallets.ROLES.FEE_INTAKE).publicKey,
+                minLamports: payments.getDeploymentFeeLamports()
+            });
+            if (!payment.valid) {
+                // The frontend polls until the payment is finalized: not a deploy attempt for the rate limit
+                if (payment.code === payments.PAYMENT_ERRORS.NOT_FOUND) res.locals.paymentPending = true;
+                logger.warn(`Payment rejected for ${userPubkey}`, { signature: userTx, code: payment.code });
+                return res.status(400).json({ error: payment.error, code: payment.code });
+            }
+
+            // Claim the signature so it can only fund one deploy
+            const claimed = await recordTransaction(userTx, userPubkey, 'deployment', payment.lamports / LAMPORTS_PER_SOL);
+            if (!claimed) {
+                return res.status(409).json({ error: "Payment already used for another deployment.", code: payments.PAYMENT_ERRORS.ALREADY_USED });
+            }
+
             // Add job with explicit imageUrl
-            const job = await redis.addDeployJob({
-                name, ticker, description, twitter, website, 
+            const jobData = {
+                name, ticker, description, twitter, website,
                 image: imageUrl, // Pass the direct URL, not base64
-                userPubkey, isMayhemMode, metadataUri
-            });
+                userPubkey, isMayhemMode, metadataUri,
+                paymentSignature: userTx,
+                creatorMode,
+                launchAt
+            };
+
+            if (creatorMode === 'user') {
+                return await startUserCreatorLaunch(res, jobData, payment.lamports);
+            }
+
+            let job;
+            try {
+                job = await redis.addDeployJob(jobData, launchAt ? { delay: launchAt - Date.now() } : {});
+            } catch (queueErr) {
+                // Nothing was queued, let the user retry with the same payment
+                await releaseTransaction(userTx);
+                throw queueErr;
+            }
+
+            await addFees(payment.lamports);
+
+            if (launchAt) {
+                await database.createDeployJob(job.id, jobData, 'scheduled');
+                await database.recordDeployStage(job.id, database.DEPLOY_STAGES.SCHEDULED, { signature: userTx, details: { launchAt } });
+                return res.json({ success: true, jobId: job.id, message: "Scheduled", launchAt, cancelMessage: cancelMessage(job.id) });
+            }
 
+            // Listed in the user's deploys while it waits for a worker (the worker keeps the row)
+            await database.createDeployJob(job.id, jobData, 'queued');
             res.json({ success: true, jobId: job.id, message: "Queued" });
         } catch (err) {
             logger.error("Deploy API Error", { error: err.message });
@@ -79,12 +143,253 @@ function init(deps) {
         }
     });
 
-    // Job status (unchanged)
+    /**
+     * User-as-creator launch: build the create+buy transaction with the user as
+     * creator and fee payer, sign it with the mint keypair only, and hand it back
+     * for the wallet to co-sign and send. A tracking job records the outcome.
+     */
+    const startUserCreatorLaunch = async (res, jobData, paidLamports) => {
+        const { userPubkey, paymentSignature } = jobData;
+        let job;
+        try {
+            const mintKeypair = await vanity.getMintKeypair();
+            const creator = new PublicKey(userPubkey);
+            const { instructions } = pump.buildLaunchInstructions({
+                mint: mintKeypair.publicKey,
+                creator,
+                name: jobData.name,
+                ticker: jobData.ticker,
+                metadataUri: jobData.metadataUri,
+                isMayhemMode: jobData.isMayhemMode,
+                solBuyLamports: Math.floor(config.DEV_BUY_SOL * LAMPORTS_PER_SOL)
+            });
+
+            const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+            const tx = new Transaction();
+            instructions.forEach(ix => tx.add(ix));
+            tx.feePayer = creator;
+            try {
+                await fees.applyComputeBudget(connection, tx);
+            } catch (simErr) {
+                // The wallet will show the failure; an unsent launch is refunded on expiry
+                logger.warn(`User launch simulation failed: ${simErr.message}`, { userPubkey });
+                fees.setComputeBudget(tx, {
+                    microLamports: await fees.getPriorityFee(connection, fees.getWritableAccounts(tx)),
+                    units: config.COMPUTE_UNIT_FALLBACK
+                });
+            }
+            tx.recentBlockhash = blockhash;
+            tx.partialSign(mintKeypair);
+
+            const mint = mintKeypair.publicKey.toString();
+            job = await redis.addUserDeployJob({ ...jobData, mint, lastValidBlockHeight });
+
+            await database.createDeployJob(job.id, jobData, 'awaiting_signature');
+            await database.recordDeployStage(job.id, database.DEPLOY_STAGES.PAYMENT_VERIFIED, { signature: paymentSignature });
+            await database.recordDeployStage(job.id, database.DEPLOY_STAGES.MINT_KEYPAIR_ACQUIRED, { mint });
+            await database.recordDeployStage(job.id, database.DEPLOY_STAGES.AWAITING_USER_SIGNATURE, { details: { lastValidBlockHeight } });
+            await addFees(paidLamports);
+
+            res.json({
+                success: true,
+                jobId: job.id,
+                message: "Sign and send the launch transaction",
+                mint,
+                transaction: tx.serialize({ requireAllSignatures: false }).toString('base64'),
+                lastValidBlockHeight
+            });
+        } catch (err) {
+            // Nothing was handed to the user, let them retry with the same payment
+            if (!job) await releaseTransaction(paymentSignature);
+            throw err;
+        }
+    };
+
+    // Snapshot of a deploy job: deploy_jobs record first, BullMQ for jobs not yet picked up
+    const getJobStatus = async (jobId) => {
+        const record = await getDeployJob(jobId);
+        const job = await redis.getJob(jobId);
+        if (!record && !job) return null;
+
+        const state = job ? await job.getState() : record.status;
+        const result = job?.returnvalue || (record?.status === 'completed' ? { mint: record.mint, signature: record.signature } : null);
+        return {
+            id: jobId,
+            state,
+            stage: record?.stage || job?.progress?.stage || null,
+            progress: job?.progress || null,
+            result,
+            failedReason: job?.failedReason || record?.error || null,
+            stages: record?.stages || []
+        };
+    };
+
+    // Job status (polling)
     router.get('/job-status/:id', async (req, res) => {
-        const job = await redis.getJob(req.params.id);
-        if (!job) return res.status(404).json({ error: "Job not found" });
-        const state = await job.getState();
-        res.json({ id: job.id, state, result: job.returnvalue, failedReason: job.failedReason });
+        try {
+            const status = await getJobStatus(req.params.id);
+            if (!status) return res.status(404).json({ error: "Job not found" });
+            res.json(status);
+        } catch (e) {
+            logger.error("Job Status Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Job status (Server-Sent Events)
+    router.get('/job-status/:id/stream', async (req, res) => {
+        const jobId = req.params.id;
+        let status;
+        try {
+            status = await getJobStatus(jobId);
+        } catch (e) {
+            logger.error("Job Stream Error", { error: e.message });
+            return res.status(500).json({ error: "DB Error" });
+        }
+        if (!status) return res.status(404).json({ error: "Job not found" });
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        let closed = false;
+        let unsubscribe = () => {};
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        const send = (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+
+        req.on('close', close);
+        send('status', status);
+
+        if (status.state === 'completed') {
+            send('completed', status.result);
+            return close();
+        }
+        if (status.state === 'failed') {
+            send('failed', { failedReason: status.failedReason });
+            return close();
+        }
+
+        unsubscribe = redis.subscribeToDeployJob(jobId, {
+            onProgress: (progress) => send('stage', progress),
+            onCompleted: (result) => { send('completed', result); close(); },
+            onFailed: (failedReason) => { send('failed', { failedReason }); close(); }
+        });
+
+        // Catch a job that finished between the snapshot and the subscription
+        try {
+            const job = await redis.getJob(jobId);
+            const state = job ? await job.getState() : null;
+            if (state === 'completed') {
+                send('completed', job.returnvalue);
+                close();
+            } else if (state === 'failed') {
+                send('failed', { failedReason: job.failedReason });
+                close();
+            }
+        } catch (e) {
+            logger.debug('Job stream recheck failed', { jobId, error: e.message });
+        }
+    });
+
+    // Deploy history for a wallet
+    router.get('/deploys', async (req, res) => {
+        const { userPubkey } = req.query;
+        if (!userPubkey || !isValidPubkey(userPubkey)) return res.status(400).json({ error: "Invalid Solana address" });
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        try {
+            const deploys = await getDeployJobsByUser(userPubkey, limit, offset);
+            res.json({ deploys, limit, offset });
+        } catch (e) {
+            logger.error("Deploy History Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Scheduled launches for a wallet
+    router.get('/scheduled-launches', async (req, res) => {
+        const { userPubkey } = req.query;
+        if (!userPubkey || !isValidPubkey(userPubkey)) return res.status(400).json({ error: "Invalid Solana address" });
+
+        try {
+            const rows = await getScheduledDeploys(userPubkey);
+            res.json({
+                launches: rows.map(r => ({
+                    jobId: r.jobId,
+                    name: r.name,
+                    ticker: r.ticker,
+                    launchAt: r.launchAt,
+                    paymentSignature: r.paymentSignature,
+                    createdAt: r.createdAt,
+                    cancelMessage: cancelMessage(r.jobId)
+                }))
+            });
+        } catch (e) {
+            logger.error("Scheduled Launches Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Cancel a scheduled launch and refund the fee
+    // Body: { userPubkey, signature } where signature is the wallet's signMessage of cancelMessage(jobId)
+    router.post('/scheduled-launches/:id/cancel', async (req, res) => {
+        const jobId = req.params.id;
+        const { userPubkey, signature } = req.body;
+        if (!userPubkey || !isValidPubkey(userPubkey)) return res.status(400).json({ error: "Invalid Address" });
+        if (!signature || !solana.verifyWalletSignature(userPubkey, cancelMessage(jobId), signature)) {
+            return res.status(401).json({ error: "Invalid wallet signature" });
+        }
+
+        try {
+            const job = await redis.getJob(jobId);
+            if (!job || job.data.userPubkey !== userPubkey) return res.status(404).json({ error: "Scheduled launch not found" });
+
+            const state = await job.getState();
+            if (state !== 'delayed') return res.status(409).json({ error: `Launch can no longer be cancelled (job is ${state})` });
+
+            // Remove first: if the job just fired, this fails and nothing is refunded
+            try {
+                await job.remove();
+            } catch (e) {
+                return res.status(409).json({ error: "Launch is starting and can no longer be cancelled" });
+            }
+
+            await database.recordDeployStage(jobId, database.DEPLOY_STAGES.CANCELLED, { status: 'cancelled' });
+            const refundSig = await refunds.refundPayment({
+                paymentSignature: job.data.paymentSignature,
+                userPubkey,
+                reason: 'Scheduled launch cancelled',
+                deployJobId: String(jobId)
+            });
+            if (refundSig) {
+                await database.recordDeployStage(jobId, database.DEPLOY_STAGES.REFUNDED, { signature: refundSig });
+            } else {
+                await database.recordDeployStage(jobId, database.DEPLOY_STAGES.REFUND_FAILED, { error: 'Refund not sent, see refund ledger' });
+            }
+
+            logger.info(`Scheduled launch ${jobId} cancelled by ${userPubkey}`);
+            res.json({ success: true, jobId, refundSignature: refundSig });
+        } catch (e) {
+            logger.error("Cancel Launch Error", { error: e.message });
+            res.status(500).json({ error: e.message });
+        }
     });
 
     return router;
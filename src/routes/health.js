@@ -7,7 +7,7 @@ const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const config = require('../config/env');
 const { TOKENS, PROGRAMS } = require('../config/constants');
-const { pump, logger } = require('../services');
+const { pump, logger, rpcPool, wallets } = require('../services');
 
 const router = express.Router();
 
@@ -56,6 +56,7 @@ function init(deps) {
                 const totalAirdropped = airdropRes?.total || 0;
 
                 const currentBalance = await connection.getBalance(devKeypair.publicKey);
+                const walletBalances = await wallets.getBalances();
 
                 const { bcVault, ammVaultAta } = pump.getCreatorFeeVaults(devKeypair.publicKey);
                 let totalPendingFees = 0;
@@ -78,7 +79,7 @@ function init(deps) {
                 let pumpHoldings = 0;
                 try {
                     const devPumpAta = await getAssociatedTokenAddress(
-                        TOKENS.PUMP, devKeypair.publicKey, false, PROGRAMS.TOKEN_2022
+                        TOKENS.PUMP, wallets.getWallet(wallets.ROLES.AIRDROP).publicKey, false, PROGRAMS.TOKEN_2022
                     );
                     const tokenBal = await connection.getTokenAccountBalance(devPumpAta);
                     if (tokenBal.value.uiAmount) pumpHoldings = tokenBal.value.uiAmount;
@@ -86,7 +87,7 @@ function init(deps) {
                     logger.debug('Failed to fetch PUMP holdings', { error: e.message });
                 }
 
-                return { stats, launches, logs, currentBalance, pumpHoldings, totalPendingFees, totalVolume, totalAirdropped };
+                return { stats, launches, logs, currentBalance, walletBalances, pumpHoldings, totalPendingFees, totalVolume, totalAirdropped };
             });
 
             const totalFeesLamports = (cachedHealth.stats.lifetimeFeesLamports || 0) +
@@ -95,6 +96,8 @@ function init(deps) {
             res.json({
                 status: "online",
                 wallet: devKeypair.publicKey.toString(),
+                // Per-role wallet balances and minimum-balance guards
+                wallets: cachedHealth.walletBalances,
                 lifetimeFees: (totalFeesLamports / LAMPORTS_PER_SOL).toFixed(4),
                 totalPumpBought: (cachedHealth.stats.totalPumpBoughtLamports / LAMPORTS_PER_SOL).toFixed(4),
                 totalPumpTokensBought: (cachedHealth.stats.totalPumpTokensBought || 0).toLocaleString('en-US', {maximumFractionDigits: 0}),
@@ -149,14 +152,15 @@ function init(deps) {
             services.redis = { status: 'offline', error: e.message };
         }
 
-        // Check Solana RPC
-        try {
-            const start = Date.now();
-            await connection.getLatestBlockhash('finalized');
-            services.solana_rpc = { status: 'online', latency: Date.now() - start };
-        } catch (e) {
-            services.solana_rpc = { status: 'offline', error: e.message };
-        }
+        // Check Solana RPC pool (every endpoint is probed)
+        const answered = await rpcPool.probeAll();
+        const endpoints = rpcPool.getStatus();
+        const online = endpoints.filter(e => e.status === 'online');
+        services.solana_rpc = {
+            status: online.length === endpoints.length ? 'online' : (answered > 0 ? 'degraded' : 'offline'),
+            latency: online.length > 0 ? Math.min(...online.map(e => e.latency)) : null,
+            endpoints
+        };
 
         // Check Vanity Grinder (if enabled)
         if (config.VANITY_GRINDER_ENABLED && config.VANITY_GRINDER_URL) {
@@ -212,4 +216,4 @@ function init(deps) {
     return router;
 }
 
-module.exports = { init };
+module.exports = { init, adminAuth };
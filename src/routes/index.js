@@ -6,6 +6,7 @@ const healthRoutes = require('./health');
 const tokenRoutes = require('./tokens');
 const deployRoutes = require('./deploy');
 const solanaRoutes = require('./solana');
+const adminRoutes = require('./admin');
 
 /**
  * Register all routes on the Express app
@@ -15,6 +16,7 @@ function register(app, deps) {
     app.use('/api', tokenRoutes.init(deps));
     app.use('/api', deployRoutes.init(deps));
     app.use('/api', solanaRoutes.init(deps));
+    app.use('/api/admin', adminRoutes.init(deps));
 }
 
 module.exports = { register };
@@ -1,9 +1,11 @@
 /**
  * Solana Routes
- * Balance and blockhash endpoints
+ * Balance, blockhash and priority fee endpoints
  */
 const express = require('express');
 const { PublicKey } = require('@solana/web3.js');
+const config = require('../config/env');
+const { fees, wallets } = require('../services');
 
 const router = express.Router();
 
@@ -18,6 +20,13 @@ const isValidPubkey = (pubkey) => {
     }
 };
 
+// Time query parameter: ms timestamp or ISO date, null if missing or invalid
+function parseTimeParam(v) {
+    if (!v) return null;
+    const t = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+    return Number.isFinite(t) ? t : null;
+}
+
 /**
  * Initialize routes with dependencies
  */
@@ -51,7 +60,18 @@ function init(deps) {
         }
     });
 
+    // Recommended compute budget for the fee payment, and where to send it
+    router.get('/priority-fee', async (req, res) => {
+        try {
+            const recipient = wallets.getWallet(wallets.ROLES.FEE_INTAKE).publicKey;
+            const microLamports = await fees.getPriorityFee(connection, [recipient]);
+            res.json({ microLamports, computeUnitLimit: config.PAYMENT_COMPUTE_UNITS, recipient: recipient.toString() });
+        } catch (err) {
+            res.status(500).json({ error: "Failed to get priority fee" });
+        }
+    });
+
     return router;
 }
 
-module.exports = { init, isValidPubkey };
+module.exports = { init, isValidPubkey, parseTimeParam };
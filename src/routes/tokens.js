@@ -1,9 +1,10 @@
 /**
  * Token Routes
- * Token listing, leaderboard, and holder endpoints
+ * Token listing, leaderboard, holder, airdrop and flywheel history endpoints
  */
 const express = require('express');
-const { isValidPubkey } = require('./solana');
+const { wallets, database, logger, merkle } = require('../services');
+const { isValidPubkey, parseTimeParam } = require('./solana');
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ const router = express.Router();
  * Initialize routes with dependencies
  */
 function init(deps) {
-    const { db, globalState, devKeypair } = deps;
+    const { db, globalState } = deps;
 
     // Get all launches
     router.get('/all-launches', async (req, res) => {
@@ -155,7 +156,7 @@ function init(deps) {
         if (!userPubkey) {
             return res.json({
                 isHolder: false, isAsdfTop50: false, points: 0,
-                multiplier: 1, heldPositionsCount: 0, createdPositionsCount: 0, expectedAirdrop: 0
+                multiplier: 1, heldPositionsCount: 0, createdPositionsCount: 0, expectedAirdrop: 0, lastPayout: null, pendingCarryover: 0
             });
         }
         if (!isValidPubkey(userPubkey)) {
@@ -186,6 +187,9 @@ function init(deps) {
             const multiplier = isAsdfTop50 ? 2 : 1;
             const points = totalBase * multiplier;
             const expectedAirdrop = globalState.userExpectedAirdrops.get(userPubkey) || 0;
+            const lastPayout = await database.getLastAirdropPayout(userPubkey);
+            // Airdrop shares below the minimum payout, paid once they add up to it (PUMP)
+            const pendingCarryover = await database.getAirdropCarryover(userPubkey) / 1000000;
 
             res.json({
                 isHolder: heldPositionsCount > 0,
@@ -194,7 +198,9 @@ function init(deps) {
                 multiplier,
                 heldPositionsCount,
                 createdPositionsCount,
-                expectedAirdrop
+                expectedAirdrop,
+                lastPayout,
+                pendingCarryover
             });
         } catch (e) {
             res.status(500).json({ error: "DB Error", expectedAirdrop: 0 });
@@ -245,7 +251,7 @@ function init(deps) {
             let calculatedTotalPoints = 0;
 
             for (const user of userPointsMap.values()) {
-                if (user.pubkey === devKeypair.publicKey.toString()) continue;
+                if (wallets.isRoleWallet(user.pubkey)) continue;
 
                 const isAsdfTop50 = globalState.asdfTop50Holders.has(user.pubkey);
                 const multiplier = isAsdfTop50 ? 2 : 1;
@@ -282,6 +288,109 @@ function init(deps) {
         }
     });
 
+    // Every airdrop payout to one wallet (newest first) with lifetime totals
+    router.get('/airdrops/:pubkey', async (req, res) => {
+        const { pubkey } = req.params;
+        if (!isValidPubkey(pubkey)) {
+            return res.status(400).json({ error: "Invalid Solana address" });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        try {
+            const { payouts, total } = await database.listAirdropPayouts(pubkey, { limit, offset });
+            const totals = await database.getAirdropPayoutTotals(pubkey);
+            res.json({ pubkey, payouts, total, limit, offset, totals });
+        } catch (e) {
+            logger.error("Airdrop Payouts Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Load an airdrop epoch with its snapshot (null if the id is not an epoch)
+    const loadAirdropSnapshot = async (epochParam) => {
+        const epochId = parseInt(epochParam);
+        if (!Number.isInteger(epochId) || epochId <= 0 || String(epochId) !== epochParam) return null;
+        const epoch = await database.getAirdropEpoch(epochId);
+        if (!epoch) return null;
+        const recipients = (await database.getAirdropSnapshot(epochId)).map(r => ({ ...r, isKoth: !!r.isKoth }));
+        return { epoch, recipients };
+    };
+
+    // Full snapshot of an airdrop epoch as a JSON download (recipients in Merkle leaf order, raw amounts)
+    router.get('/airdrops/:epoch/snapshot', async (req, res) => {
+        try {
+            const snapshot = await loadAirdropSnapshot(req.params.epoch);
+            if (!snapshot) return res.status(404).json({ error: "Airdrop epoch not found" });
+            const { epoch, recipients } = snapshot;
+            res.setHeader('Content-Disposition', `attachment; filename="airdrop-epoch-${epoch.id}.json"`);
+            res.json({
+                epoch: epoch.id,
+                timestamp: epoch.timestamp,
+                status: epoch.status,
+                totalPoints: epoch.totalPoints,
+                merkleRoot: epoch.merkleRoot,
+                merkleMemoSig: epoch.merkleMemoSig,
+                leafEncoding: merkle.LEAF_ENCODING,
+                decimals: 6,
+                recipients: recipients.map(({ pubkey, amount, points, isKoth }) => ({ pubkey, amount, points, isKoth }))
+            });
+        } catch (e) {
+            logger.error("Airdrop Snapshot Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Merkle proof(s) of a wallet's payouts in an airdrop epoch, checkable against the published root
+    router.get('/airdrops/:epoch/proof/:pubkey', async (req, res) => {
+        const { pubkey } = req.params;
+        if (!isValidPubkey(pubkey)) {
+            return res.status(400).json({ error: "Invalid Solana address" });
+        }
+        try {
+            const snapshot = await loadAirdropSnapshot(req.params.epoch);
+            if (!snapshot) return res.status(404).json({ error: "Airdrop epoch not found" });
+            const { epoch, recipients } = snapshot;
+            if (!epoch.merkleRoot) return res.status(404).json({ error: "No Merkle root was published for this epoch" });
+
+            const payouts = recipients
+                .map((r, index) => ({ r, index }))
+                .filter(({ r }) => r.pubkey === pubkey)
+                .map(({ r, index }) => ({ amount: r.amount, points: r.points, isKoth: r.isKoth, index, ...merkle.getProof(recipients, index) }));
+            if (payouts.length === 0) return res.status(404).json({ error: "Wallet is not in this airdrop" });
+
+            res.json({
+                epoch: epoch.id,
+                merkleRoot: epoch.merkleRoot,
+                merkleMemoSig: epoch.merkleMemoSig,
+                leafEncoding: merkle.LEAF_ENCODING,
+                pubkey,
+                payouts
+            });
+        } catch (e) {
+            logger.error("Airdrop Proof Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Flywheel cycle history (paginated, from/to filter) with per-day or per-week totals
+    router.get('/flywheel-history', async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const period = req.query.period || 'day';
+        if (!database.FLYWHEEL_PERIODS[period]) {
+            return res.status(400).json({ error: `period must be one of: ${Object.keys(database.FLYWHEEL_PERIODS).join(', ')}` });
+        }
+        const filters = { from: parseTimeParam(req.query.from), to: parseTimeParam(req.query.to) };
+        try {
+            const { entries, total } = await database.listFlywheelLogs(filters, { limit, offset });
+            const totals = await database.getFlywheelTotals(filters, period);
+            res.json({ entries, total, limit, offset, totals: { period, ...totals } });
+        } catch (e) {
+            logger.error("Flywheel History Error", { error: e.message });
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
     return router;
 }
 
@@ -0,0 +1,80 @@
+/**
+ * Buyback Route Service
+ * Chooses where flywheel buybacks are swapped (BUYBACK_ROUTE): Jupiter, the
+ * Pump AMM pool directly, or `auto` (Jupiter, with the Pump AMM as fallback).
+ */
+const config = require('../config/env');
+const logger = require('./logger');
+const jupiter = require('./jupiter');
+const pumpAmm = require('./pumpAmm');
+
+const BUYBACK_ROUTES = {
+    JUPITER: 'jupiter',
+    PUMP_AMM: 'pump_amm',
+    AUTO: 'auto',
+};
+
+// Quote and swap per venue, with the same arguments
+const VENUES = {
+    [BUYBACK_ROUTES.JUPITER]: {
+        quote: (amountLamports, mint, connection, guards) => jupiter.quoteSolToToken(amountLamports, mint, guards),
+        swap: jupiter.swapSolToToken,
+    },
+    [BUYBACK_ROUTES.PUMP_AMM]: {
+        quote: pumpAmm.quoteSolToToken,
+        swap: pumpAmm.swapSolToToken,
+    },
+};
+
+/**
+ * Venues to try, in order (the Pump AMM only once a pool is configured)
+ */
+function getVenues(route = config.BUYBACK_ROUTE) {
+    if (route === BUYBACK_ROUTES.AUTO) {
+        return config.BUYBACK_PUMP_AMM_POOL ? [BUYBACK_ROUTES.JUPITER, BUYBACK_ROUTES.PUMP_AMM] : [BUYBACK_ROUTES.JUPITER];
+    }
+    if (!VENUES[route]) {
+        throw new Error(`Unknown BUYBACK_ROUTE '${route}', use one of: ${Object.values(BUYBACK_ROUTES).join(', ')}`);
+    }
+    return [route];
+}
+
+/**
+ * Guarded quote from the first venue that can give one (nothing is sent).
+ * A quote refused by the guards is returned as is: a bad market is not a
+ * reason to try the next venue. Returns a swap result plus `route`.
+ */
+async function quote(amountLamports, mint, connection, guards = {}) {
+    let result = null;
+    for (const venue of getVenues()) {
+        try {
+            ({ result } = await VENUES[venue].quote(amountLamports, mint, connection, guards));
+            return { ...result, route: venue };
+        } catch (e) {
+            logger.warn(`Buyback quote from ${venue} failed`, { error: e.message });
+            result = { ...jupiter.emptySwapResult(), route: venue, error: e.message };
+        }
+    }
+    return result;
+}
+
+/**
+ * Buy `mint` with SOL on the configured route. The fallback venue is only
+ * tried when the previous one failed before broadcasting anything, so a swap that
+ * may have landed is never repeated elsewhere.
+ */
+async function swap(amountLamports, mint, wallet, connection, guards = {}) {
+    let result = null;
+    for (const venue of getVenues()) {
+        result = { ...(await VENUES[venue].swap(amountLamports, mint, wallet, connection, guards)), route: venue };
+        if (result.success || result.aborted || result.signature) return result;
+        logger.warn(`Buyback via ${venue} failed before sending`, { error: result.error });
+    }
+    return result;
+}
+
+module.exports = {
+    BUYBACK_ROUTES,
+    quote,
+    swap,
+};
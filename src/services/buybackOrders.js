@@ -0,0 +1,172 @@
+/**
+ * Buyback Orders Service
+ * DCA execution of large buybacks: the flywheel queues the amount as an order
+ * and the buyback scheduler buys it one slice per interval. Orders and fills
+ * are kept in the DB, so an order carries on where it stopped after a restart.
+ */
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { TOKENS } = require('../config/constants');
+const logger = require('./logger');
+const database = require('./database');
+const wallets = require('./wallets');
+const buyback = require('./buyback');
+const flywheelSettings = require('./flywheelSettings');
+
+// A remainder smaller than this is bought together with the slice before it
+const MIN_SLICE_LAMPORTS = 0.01 * LAMPORTS_PER_SOL;
+// Kept back for network fees and the swap's temporary token accounts
+const SWAP_COST_MARGIN_LAMPORTS = 0.005 * LAMPORTS_PER_SOL;
+
+/**
+ * Treasury SOL still owed to the active order (lamports)
+ */
+async function getReservedLamports() {
+    const order = await database.getActiveBuybackOrder();
+    return order ? Math.max(0, order.totalLamports - order.filledLamports) : 0;
+}
+
+/**
+ * Queue `lamports` of buyback: added to the active order, or a new one whose
+ * first slice is due right away
+ */
+async function queueBuyback(lamports) {
+    const order = await database.queueBuybackOrder(Math.floor(lamports));
+    logger.info(`Buyback order #${order.id}: ${(lamports / LAMPORTS_PER_SOL).toFixed(4)} SOL queued`, {
+        totalSol: order.totalLamports / LAMPORTS_PER_SOL,
+        filledSol: order.filledLamports / LAMPORTS_PER_SOL
+    });
+    return order;
+}
+
+/**
+ * Size of the order's next slice (lamports)
+ */
+function nextSliceLamports(order, sliceSol) {
+    const remaining = order.totalLamports - order.filledLamports;
+    const slice = sliceSol > 0 ? Math.round(sliceSol * LAMPORTS_PER_SOL) : remaining;
+    return remaining - slice < MIN_SLICE_LAMPORTS ? remaining : slice;
+}
+
+/**
+ * Hold the order until the next interval, keeping why
+ */
+async function holdOrder(order, settings, reason) {
+    logger.warn(`Buyback order #${order.id}: slice held, ${reason}`);
+    await database.updateBuybackOrder(order.id, { nextSliceAt: Date.now() + settings.dcaIntervalMs, lastError: reason });
+    return { orderId: order.id, held: true, reason };
+}
+
+/**
+ * Buy the active order's next slice if it is due.
+ * The slice's quote goes through the buyback guards and must not be priced
+ * more than dcaMaxSliceDeviationPct worse than the price seen at the previous
+ * slice; otherwise the slice waits an interval. Fills count towards the
+ * lifetime buyback stats and are written to flywheel_logs as DCA_FILL.
+ * Returns what happened, or null when nothing was due.
+ */
+async function runDueSlice(connection) {
+    const order = await database.getActiveBuybackOrder();
+    if (!order || order.nextSliceAt > Date.now()) return null;
+
+    const settings = await flywheelSettings.getSettings();
+    const { ROLES } = wallets;
+    const treasury = wallets.getWallet(ROLES.TREASURY);
+    const guards = {
+        slippageBps: settings.slippageBps,
+        maxPriceImpactPct: settings.maxPriceImpactPct,
+        maxPriceDeviationPct: settings.maxPriceDeviationPct
+    };
+
+    let lamports = nextSliceLamports(order, settings.dcaSliceSol);
+    const { spendable } = await wallets.getSpendable(ROLES.TREASURY);
+    const available = spendable - SWAP_COST_MARGIN_LAMPORTS;
+    if (available < MIN_SLICE_LAMPORTS) {
+        return holdOrder(order, settings, `treasury can't fund a slice (${(spendable / LAMPORTS_PER_SOL).toFixed(4)} SOL spendable)`);
+    }
+    lamports = Math.min(lamports, Math.floor(available));
+
+    const check = await buyback.quote(lamports, TOKENS.PUMP, connection, guards);
+    if (check.error) return holdOrder(order, settings, check.error);
+
+    // Tokens (raw) per lamport
+    const price = Number(check.quotedOut) / lamports;
+    // Only fills move lastPrice, so held slices can't walk the limit down
+    const previousPrice = order.lastPrice;
+    if (previousPrice) {
+        const movePct = (1 - price / previousPrice) * 100;
+        if (movePct > settings.dcaMaxSliceDeviationPct) {
+            return holdOrder(order, settings, `price ${movePct.toFixed(2)}% worse than at the previous slice (limit ${settings.dcaMaxSliceDeviationPct}%)`);
+        }
+    }
+
+    // Push the next slice back before any SOL moves: if recording this one fails
+    // the scheduler waits an interval instead of buying it again next tick.
+    // An order cancelled meanwhile is left alone.
+    if (!await database.updateBuybackOrder(order.id, { nextSliceAt: Date.now() + settings.dcaIntervalMs })) return null;
+
+    const swap = await buyback.swap(lamports, TOKENS.PUMP, treasury, connection, guards);
+    if (!swap.success && !swap.statusUnknown) return holdOrder(order, settings, swap.error);
+
+    // A swap whose outcome is unknown may still have landed: it counts
+    // against the order (never buying more than queued) but not the stats.
+    // A filled slice counts what it actually spent; its price stays per slice
+    // lamport, as the quotes it is compared with
+    const filled = swap.success;
+    const fillPrice = filled ? Number(swap.outAmount) / lamports : null;
+    if (filled && swap.spentLamports) lamports = swap.spentLamports;
+    const fill = {
+        lamports,
+        quotedOut: swap.quotedOut,
+        receivedOut: swap.receivedOut,
+        tokens: filled ? parseFloat(swap.outAmount) / 1000000 : 0,
+        price: fillPrice,
+        signature: swap.signature,
+        route: swap.route,
+        status: filled ? 'filled' : 'unknown',
+        error: swap.error
+    };
+    const updated = await database.recordBuybackFill(order.id, fill, { nextSliceAt: Date.now() + settings.dcaIntervalMs });
+
+    await database.logFlywheelCycle({
+        status: filled ? 'DCA_FILL' : 'DCA_FAIL',
+        solSpent: lamports / LAMPORTS_PER_SOL,
+        tokensBought: filled ? swap.outAmount : 0,
+        pumpBuySig: swap.signature,
+        quotedOut: swap.quotedOut,
+        slippagePct: swap.slippagePct,
+        priceImpactPct: swap.priceImpactPct,
+        deviationPct: swap.deviationPct,
+        buybackRoute: swap.route,
+        reason: filled
+            ? `Order #${order.id} slice ${updated.fills}: ${(updated.filledLamports / LAMPORTS_PER_SOL).toFixed(4)}/${(updated.totalLamports / LAMPORTS_PER_SOL).toFixed(4)} SOL`
+            : `Order #${order.id}: ${swap.error}`
+    });
+
+    if (filled) {
+        logger.info(`Buyback order #${order.id}: bought ${fill.tokens} PUMP for ${(lamports / LAMPORTS_PER_SOL).toFixed(4)} SOL`, {
+            signature: swap.signature, route: swap.route, status: updated.status
+        });
+    } else {
+        logger.error(`Buyback order #${order.id}: slice sent but not confirmed`, { signature: swap.signature, error: swap.error });
+    }
+    return { orderId: order.id, filled, lamports, signature: swap.signature, status: updated.status };
+}
+
+/**
+ * Stop an active order; its unfilled SOL goes back to the flywheel.
+ * Returns false when there is no active order with that id.
+ */
+async function cancelOrder(orderId, actor = 'admin') {
+    const cancelled = await database.updateBuybackOrder(orderId, { status: 'cancelled', lastError: `Cancelled by ${actor}` });
+    if (cancelled) logger.info(`Buyback order #${orderId} cancelled by ${actor}`);
+    return cancelled;
+}
+
+module.exports = {
+    getReservedLamports,
+    queueBuyback,
+    nextSliceLamports,
+    runDueSlice,
+    cancelOrder,
+    listOrders: database.listBuybackOrders,
+};
@@ -25,6 +25,30 @@ ensureDir(DATA_DIR);
 
 // Database instance
 let db = null;
+// Tail of the transaction queue: the app shares one connection, so one
+// transaction at a time (a second BEGIN would fail, and its ROLLBACK would
+// roll back the first)
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run `fn` inside BEGIN IMMEDIATE / COMMIT, after any transaction already
+ * running; rolls back and rethrows if it fails. Returns what `fn` returns.
+ */
+function withTransaction(fn) {
+    const run = transactionQueue.then(async () => {
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            const result = await fn();
+            await db.run('COMMIT');
+            return result;
+        } catch (e) {
+            await db.run('ROLLBACK');
+            throw e;
+        }
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+}
 
 // Cache
 const cache = new Map();
@@ -81,12 +105,12 @@ async function initDB() {
 
         // 2. Perform Migration Checks to ensure all columns exist in old DB files
         // This handles older schema versions that are missing the fields used by metadataUpdater.js
-        const runMigration = async (columnName, columnType) => {
+        const runMigration = async (columnName, columnType, table = 'tokens') => {
             try {
                 // Attempt to add the column
                 // FIX: Removed invalid backslashes before backticks and template vars
-                await db.exec(`ALTER TABLE tokens ADD COLUMN ${columnName} ${columnType}`);
-                logger.info(`[DB MIGRATION] Added column '${columnName}' to tokens table.`);
+                await db.exec(`ALTER TABLE ${table} ADD COLUMN ${columnName} ${columnType}`);
+                logger.info(`[DB MIGRATION] Added column '${columnName}' to ${table} table.`);
             } catch (e) {
                 // Safely ignore the error if the column already exists
                 if (!e.message.includes("duplicate column name") && !e.message.includes("column already exists")) {
@@ -160,6 +184,17 @@ async function initDB() {
                 reason TEXT
             )
         `);
+        // Claimed fees, claim signature and the conservation decision (JSON) of each cycle
+        await runMigration('feesClaimed', 'REAL DEFAULT 0', 'flywheel_logs');
+        await runMigration('claimSig', 'TEXT', 'flywheel_logs');
+        await runMigration('conservation', 'TEXT', 'flywheel_logs');
+        // Buyback quote vs what was received (raw token units, percentages)
+        await runMigration('quotedOut', 'TEXT', 'flywheel_logs');
+        await runMigration('slippagePct', 'REAL', 'flywheel_logs');
+        await runMigration('priceImpactPct', 'REAL', 'flywheel_logs');
+        await runMigration('deviationPct', 'REAL', 'flywheel_logs');
+        await runMigration('buybackRoute', 'TEXT', 'flywheel_logs');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_flywheel_logs_time ON flywheel_logs (timestamp)');
 
         await db.exec(`
             CREATE TABLE IF NOT EXISTS airdrop_logs (
@@ -172,6 +207,48 @@ async function initDB() {
                 timestamp TEXT
             )
         `);
+        // Each airdrop is an epoch: its snapshot is stored before anything is sent
+        // (running -> completed, or partial when batches ran out of attempts)
+        await runMigration('status', 'TEXT', 'airdrop_logs');
+        await runMigration('completedAt', 'TEXT', 'airdrop_logs');
+        // Merkle root of the snapshot (hex), and the memo transaction that published it
+        await runMigration('merkleRoot', 'TEXT', 'airdrop_logs');
+        await runMigration('merkleMemoSig', 'TEXT', 'airdrop_logs');
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS airdrop_batches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                epochId INTEGER,
+                batchIndex INTEGER,
+                purpose TEXT,
+                status TEXT DEFAULT 'pending',
+                signature TEXT,
+                attempts INTEGER DEFAULT 0,
+                error TEXT,
+                updatedAt INTEGER,
+                UNIQUE(epochId, batchIndex)
+            )
+        `);
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS airdrop_recipients (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                epochId INTEGER,
+                batchIndex INTEGER,
+                pubkey TEXT,
+                points REAL,
+                amount TEXT,
+                isKoth INTEGER DEFAULT 0
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_airdrop_recipients_epoch ON airdrop_recipients (epochId, batchIndex)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_airdrop_recipients_pubkey ON airdrop_recipients (pubkey)');
+        // Airdrop shares below the minimum payout, owed to the wallet in a later epoch (raw units)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS airdrop_carryover (
+                pubkey TEXT PRIMARY KEY,
+                amount INTEGER DEFAULT 0,
+                updatedAt INTEGER
+            )
+        `);
 
         await db.exec(`
             CREATE TABLE IF NOT EXISTS asdf_holders (
@@ -195,6 +272,148 @@ async function initDB() {
             )
         `);
 
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS deploy_jobs (
+                jobId TEXT PRIMARY KEY,
+                userPubkey TEXT,
+                name TEXT,
+                ticker TEXT,
+                paymentSignature TEXT,
+                creatorMode TEXT DEFAULT 'backend',
+                launchAt INTEGER,
+                status TEXT,
+                stage TEXT,
+                mint TEXT,
+                signature TEXT,
+                error TEXT,
+                createdAt INTEGER,
+                updatedAt INTEGER
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_deploy_jobs_user ON deploy_jobs (userPubkey, createdAt)');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS deploy_job_stages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                jobId TEXT,
+                stage TEXT,
+                signature TEXT,
+                error TEXT,
+                details TEXT,
+                timestamp INTEGER
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_deploy_job_stages_job ON deploy_job_stages (jobId)');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS dev_buy_sells (
+                mint TEXT PRIMARY KEY,
+                deployJobId TEXT,
+                status TEXT,
+                tokensSold TEXT,
+                solReceivedLamports INTEGER,
+                sellSignature TEXT,
+                closeSignature TEXT,
+                attempts INTEGER DEFAULT 0,
+                sweeps INTEGER DEFAULT 0,
+                error TEXT,
+                createdAt INTEGER,
+                updatedAt INTEGER
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS refunds (
+                paymentSignature TEXT PRIMARY KEY,
+                userPubkey TEXT,
+                lamports INTEGER,
+                reason TEXT,
+                deployJobId TEXT,
+                status TEXT DEFAULT 'pending',
+                signature TEXT,
+                attempts INTEGER DEFAULT 0,
+                error TEXT,
+                createdAt INTEGER,
+                updatedAt INTEGER
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds (status, updatedAt)');
+
+        // Every transaction the backend signs and sends (one row per signature)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS tx_ledger (
+                signature TEXT PRIMARY KEY,
+                purpose TEXT,
+                wallet TEXT,
+                mint TEXT,
+                userPubkey TEXT,
+                jobId TEXT,
+                status TEXT DEFAULT 'pending',
+                lamportsDelta INTEGER,
+                tokenDeltas TEXT,
+                feeLamports INTEGER,
+                error TEXT,
+                createdAt INTEGER,
+                updatedAt INTEGER
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_tx_ledger_created ON tx_ledger (createdAt)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_tx_ledger_purpose ON tx_ledger (purpose, createdAt)');
+
+        // Admin overrides of the flywheel defaults, and who changed what
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS flywheel_settings (
+                key TEXT PRIMARY KEY,
+                value REAL,
+                updatedAt INTEGER,
+                updatedBy TEXT
+            )
+        `);
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS flywheel_settings_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT,
+                oldValue REAL,
+                newValue REAL,
+                actor TEXT,
+                reason TEXT,
+                timestamp INTEGER
+            )
+        `);
+
+        // DCA buyback orders (large buybacks bought in slices) and their fills
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS buyback_orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                totalLamports INTEGER,
+                filledLamports INTEGER DEFAULT 0,
+                tokensBought REAL DEFAULT 0,
+                fills INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'active',
+                referencePrice REAL,
+                lastPrice REAL,
+                nextSliceAt INTEGER,
+                lastError TEXT,
+                createdAt INTEGER,
+                updatedAt INTEGER
+            )
+        `);
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS buyback_fills (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                orderId INTEGER,
+                lamports INTEGER,
+                quotedOut TEXT,
+                receivedOut TEXT,
+                price REAL,
+                signature TEXT,
+                route TEXT,
+                status TEXT,
+                timestamp INTEGER
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_buyback_fills_order ON buyback_fills (orderId)');
+
         logger.info(`DB Initialized at ${DB_PATH}`);
     } catch (e) {
         logger.error('Database initialization failed', { error: e.message });
@@ -237,9 +456,9 @@ async function recordClaim(amount) {
     await db.run('UPDATE stats SET value = ? WHERE key = ?', [amount, 'lastClaimAmountLamports']);
 }
 
-async function updateNextCheckTime() {
+async function updateNextCheckTime(intervalMs = 5 * 60 * 1000) {
     if (!db) return;
-    const nextCheck = Date.now() + (5 * 60 * 1000); // 5 minutes
+    const nextCheck = Date.now() + intervalMs;
     await db.run('UPDATE stats SET value = ? WHERE key = ?', [nextCheck, 'nextCheckTimestamp']);
     return nextCheck;
 }
@@ -247,10 +466,65 @@ async function updateNextCheckTime() {
 // Log to flywheel_logs table with structured columns
 async function logFlywheelCycle(data) {
     if (!db) return;
-    await db.run(`
-        INSERT INTO flywheel_logs (timestamp, status, feesCollected, solSpent, tokensBought, pumpBuySig, transfer9_5, transfer0_5, reason)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [Date.now(), data.status, data.feesCollected || 0, data.solSpent || 0, data.tokensBought || '0', data.pumpBuySig || null, data.transfer9_5 || 0, data.transfer0_5 || 0, data.reason || null]);
+    try {
+        await db.run(`
+            INSERT INTO flywheel_logs (timestamp, status, feesCollected, feesClaimed, claimSig, solSpent, tokensBought, pumpBuySig, transfer9_5, transfer0_5,
+                quotedOut, slippagePct, priceImpactPct, deviationPct, buybackRoute, conservation, reason)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [Date.now(), data.status, data.feesCollected || 0, data.feesClaimed || 0, data.claimSig || null, data.solSpent || 0,
+            String(data.tokensBought || '0'), data.pumpBuySig || null, data.transfer9_5 || 0, data.transfer0_5 || 0,
+            data.quotedOut || null, data.slippagePct ?? null, data.priceImpactPct ?? null, data.deviationPct ?? null, data.buybackRoute || null,
+            data.conservation ? JSON.stringify(data.conservation) : null, data.reason || null]);
+    } catch (e) {
+        logger.error("Flywheel log error", { error: e.message });
+    }
+}
+
+function flywheelLogFilter({ from, to } = {}) {
+    const clauses = [];
+    const params = [];
+    if (from) { clauses.push('timestamp >= ?'); params.push(from); }
+    if (to) { clauses.push('timestamp <= ?'); params.push(to); }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+async function listFlywheelLogs(filters = {}, { limit = 50, offset = 0 } = {}) {
+    if (!db) return { entries: [], total: 0 };
+    const { where, params } = flywheelLogFilter(filters);
+    const rows = await db.all(`SELECT * FROM flywheel_logs ${where} ORDER BY timestamp DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM flywheel_logs ${where}`, params);
+    return {
+        entries: rows.map(r => ({ ...r, conservation: r.conservation ? JSON.parse(r.conservation) : null })),
+        total
+    };
+}
+
+// UTC bucket labels for flywheel totals
+const FLYWHEEL_PERIODS = {
+    day: '%Y-%m-%d',
+    week: '%Y-W%W',
+};
+
+/**
+ * Fees claimed, SOL spent and PUMP bought per day or week, plus the totals
+ * over the whole range (tokensBought is stored in raw 6-decimal units)
+ */
+async function getFlywheelTotals(filters = {}, period = 'day') {
+    const empty = { cycles: 0, feesClaimed: 0, solSpent: 0, pumpBought: 0 };
+    if (!db) return { buckets: [], overall: empty };
+    const { where, params } = flywheelLogFilter(filters);
+    const sums = `
+        COUNT(*) as cycles,
+        COALESCE(SUM(feesClaimed), 0) as feesClaimed,
+        COALESCE(SUM(solSpent), 0) as solSpent,
+        COALESCE(SUM(CAST(tokensBought AS REAL)), 0) / 1000000 as pumpBought
+    `;
+    const buckets = await db.all(`
+        SELECT strftime('${FLYWHEEL_PERIODS[period]}', timestamp / 1000, 'unixepoch') as period, ${sums}
+        FROM flywheel_logs ${where} GROUP BY 1 ORDER BY 1 DESC
+    `, params);
+    const overall = await db.get(`SELECT ${sums} FROM flywheel_logs ${where}`, params);
+    return { buckets, overall: overall || empty };
 }
 
 // Generic logging to logs table
@@ -266,6 +540,595 @@ async function logPurchase(type, data) {
     }
 }
 
+// Payment ledger helpers (transactions table)
+// Returns false if the signature was already recorded
+async function recordTransaction(signature, userPubkey, type, amount) {
+    if (!db) throw new Error("Database not initialized");
+    try {
+        await db.run(
+            'INSERT INTO transactions (signature, userPubkey, type, amount, timestamp) VALUES (?, ?, ?, ?, ?)',
+            [signature, userPubkey, type, amount, Date.now()]
+        );
+        return true;
+    } catch (e) {
+        if (e.message.includes('UNIQUE constraint failed')) return false;
+        throw e;
+    }
+}
+
+async function releaseTransaction(signature) {
+    if (!db) return;
+    await db.run('DELETE FROM transactions WHERE signature = ?', [signature]);
+}
+
+// Deploy job timeline
+const DEPLOY_STAGES = {
+    PAYMENT_VERIFIED: 'payment_verified',
+    MINT_KEYPAIR_ACQUIRED: 'mint_keypair_acquired',
+    AWAITING_USER_SIGNATURE: 'awaiting_user_signature',
+    CREATE_TX_SENT: 'create_tx_sent',
+    CONFIRMED: 'confirmed',
+    DEV_BUY_SELL_QUEUED: 'dev_buy_sell_queued',
+    DEV_BUY_SOLD: 'dev_buy_sold',
+    DEV_BUY_SELL_FAILED: 'dev_buy_sell_failed',
+    TWEET_QUEUED: 'tweet_queued',
+    FAILED: 'failed',
+    SCHEDULED: 'scheduled',
+    CANCELLED: 'cancelled',
+    REQUEUED: 'requeued',
+    ABANDONED: 'abandoned',
+    REFUNDED: 'refunded',
+    REFUND_FAILED: 'refund_failed',
+};
+
+async function createDeployJob(jobId, data, status = 'active') {
+    if (!db) return;
+    const now = Date.now();
+    try {
+        await db.run(`
+            INSERT OR IGNORE INTO deploy_jobs (jobId, userPubkey, name, ticker, paymentSignature, creatorMode, launchAt, status, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [String(jobId), data.userPubkey, data.name, data.ticker, data.paymentSignature || null, data.creatorMode || 'backend', data.launchAt || null, status, now, now]);
+    } catch (e) {
+        logger.error("Deploy job record error", { jobId, error: e.message });
+    }
+}
+
+// Append a stage to the timeline and update the job summary row
+// `fields` may set status or mint on the job row
+async function recordDeployStage(jobId, stage, { signature = null, error = null, details = null, ...fields } = {}) {
+    if (!db) return;
+    try {
+        const now = Date.now();
+        await db.run(
+            'INSERT INTO deploy_job_stages (jobId, stage, signature, error, details, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+            [String(jobId), stage, signature, error, details ? JSON.stringify(details) : null, now]
+        );
+
+        const updates = { stage, updatedAt: now, ...fields };
+        if (error) updates.error = error;
+        // The job's headline signature is the confirmed create transaction
+        if (stage === DEPLOY_STAGES.CONFIRMED && signature) updates.signature = signature;
+        const columns = Object.keys(updates).filter(c => ['stage', 'updatedAt', 'status', 'mint', 'signature', 'error'].includes(c));
+        await db.run(
+            `UPDATE deploy_jobs SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE jobId = ?`,
+            [...columns.map(c => updates[c]), String(jobId)]
+        );
+    } catch (e) {
+        logger.error("Deploy stage log error", { jobId, stage, error: e.message });
+    }
+}
+
+async function getDeployJob(jobId) {
+    if (!db) return null;
+    const job = await db.get('SELECT * FROM deploy_jobs WHERE jobId = ?', [String(jobId)]);
+    if (!job) return null;
+    job.stages = await getDeployStages(job.jobId);
+    return job;
+}
+
+async function getDeployStages(jobId) {
+    const rows = await db.all(
+        'SELECT stage, signature, error, details, timestamp FROM deploy_job_stages WHERE jobId = ? ORDER BY id ASC',
+        [String(jobId)]
+    );
+    return rows.map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+}
+
+async function getDeployJobsByUser(userPubkey, limit = 20, offset = 0) {
+    if (!db) return [];
+    const jobs = await db.all(
+        'SELECT * FROM deploy_jobs WHERE userPubkey = ? ORDER BY createdAt DESC LIMIT ? OFFSET ?',
+        [userPubkey, limit, offset]
+    );
+    for (const job of jobs) {
+        job.stages = await getDeployStages(job.jobId);
+    }
+    return jobs;
+}
+
+async function getScheduledDeploys(userPubkey) {
+    if (!db) return [];
+    return db.all(
+        "SELECT * FROM deploy_jobs WHERE userPubkey = ? AND status = 'scheduled' ORDER BY launchAt ASC",
+        [userPubkey]
+    );
+}
+
+// Dev-buy sell outcomes (one row per launched mint)
+async function getDevBuySell(mint) {
+    if (!db) return null;
+    return db.get('SELECT * FROM dev_buy_sells WHERE mint = ?', [mint]);
+}
+
+async function upsertDevBuySell(mint, fields) {
+    if (!db) return;
+    const now = Date.now();
+    try {
+        await db.run(
+            'INSERT OR IGNORE INTO dev_buy_sells (mint, status, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
+            [mint, 'pending', now, now]
+        );
+        const updates = { ...fields, updatedAt: now };
+        const columns = Object.keys(updates);
+        await db.run(
+            `UPDATE dev_buy_sells SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE mint = ?`,
+            [...columns.map(c => updates[c]), mint]
+        );
+    } catch (e) {
+        logger.error("Dev sell record error", { mint, error: e.message });
+    }
+}
+
+// Refund ledger (one row per original payment)
+async function createRefund({ paymentSignature, userPubkey, lamports, reason, deployJobId }) {
+    if (!db) throw new Error("Database not initialized");
+    const now = Date.now();
+    await db.run(`
+        INSERT OR IGNORE INTO refunds (paymentSignature, userPubkey, lamports, reason, deployJobId, status, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `, [paymentSignature, userPubkey, lamports, reason, deployJobId || null, now, now]);
+    return getRefund(paymentSignature);
+}
+
+async function getRefund(paymentSignature) {
+    if (!db) return null;
+    return db.get('SELECT * FROM refunds WHERE paymentSignature = ?', [paymentSignature]);
+}
+
+// Atomically move a refund into 'sending' so only one caller can send it
+async function claimRefund(paymentSignature, fromStatuses = ['pending', 'failed']) {
+    if (!db) return false;
+    const placeholders = fromStatuses.map(() => '?').join(',');
+    const result = await db.run(
+        `UPDATE refunds SET status = 'sending', attempts = attempts + 1, updatedAt = ? WHERE paymentSignature = ? AND status IN (${placeholders})`,
+        [Date.now(), paymentSignature, ...fromStatuses]
+    );
+    return result.changes > 0;
+}
+
+async function completeRefund(paymentSignature, signature) {
+    if (!db) return;
+    await db.run(
+        "UPDATE refunds SET status = 'sent', signature = ?, error = NULL, updatedAt = ? WHERE paymentSignature = ?",
+        [signature, Date.now(), paymentSignature]
+    );
+}
+
+async function failRefund(paymentSignature, error) {
+    if (!db) return;
+    await db.run(
+        "UPDATE refunds SET status = 'failed', error = ?, updatedAt = ? WHERE paymentSignature = ?",
+        [error, Date.now(), paymentSignature]
+    );
+}
+
+// Cancel an unsent refund (e.g. the deploy is being retried instead)
+async function cancelRefund(paymentSignature) {
+    if (!db) return false;
+    const result = await db.run(
+        "UPDATE refunds SET status = 'cancelled', updatedAt = ? WHERE paymentSignature = ? AND status IN ('pending', 'failed')",
+        [Date.now(), paymentSignature]
+    );
+    return result.changes > 0;
+}
+
+async function listRefunds({ statuses, limit = 50, offset = 0 } = {}) {
+    if (!db) return [];
+    if (statuses && statuses.length > 0) {
+        const placeholders = statuses.map(() => '?').join(',');
+        return db.all(
+            `SELECT * FROM refunds WHERE status IN (${placeholders}) ORDER BY updatedAt DESC LIMIT ? OFFSET ?`,
+            [...statuses, limit, offset]
+        );
+    }
+    return db.all('SELECT * FROM refunds ORDER BY updatedAt DESC LIMIT ? OFFSET ?', [limit, offset]);
+}
+
+// Outgoing transaction ledger
+async function insertLedgerEntry({ signature, purpose, wallet, mint, userPubkey, jobId }) {
+    if (!db) return;
+    const now = Date.now();
+    try {
+        await db.run(`
+            INSERT OR IGNORE INTO tx_ledger (signature, purpose, wallet, mint, userPubkey, jobId, status, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        `, [signature, purpose || 'other', wallet || null, mint || null, userPubkey || null, jobId ? String(jobId) : null, now, now]);
+    } catch (e) {
+        logger.error("Ledger insert error", { signature, error: e.message });
+    }
+}
+
+async function updateLedgerEntry(signature, { status, lamportsDelta, tokenDeltas, feeLamports, error }) {
+    if (!db) return;
+    try {
+        await db.run(`
+            UPDATE tx_ledger SET status = ?, lamportsDelta = ?, tokenDeltas = ?, feeLamports = ?, error = ?, updatedAt = ?
+            WHERE signature = ?
+        `, [status, lamportsDelta ?? null, tokenDeltas ? JSON.stringify(tokenDeltas) : null, feeLamports ?? null, error || null, Date.now(), signature]);
+    } catch (e) {
+        logger.error("Ledger update error", { signature, error: e.message });
+    }
+}
+
+function ledgerFilter({ purpose, status, mint, userPubkey, jobId, from, to } = {}) {
+    const clauses = [];
+    const params = [];
+    if (purpose) { clauses.push('purpose = ?'); params.push(purpose); }
+    if (status) { clauses.push('status = ?'); params.push(status); }
+    if (mint) { clauses.push('mint = ?'); params.push(mint); }
+    if (userPubkey) { clauses.push('userPubkey = ?'); params.push(userPubkey); }
+    if (jobId) { clauses.push('jobId = ?'); params.push(String(jobId)); }
+    if (from) { clauses.push('createdAt >= ?'); params.push(from); }
+    if (to) { clauses.push('createdAt <= ?'); params.push(to); }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+async function listLedger(filters = {}, { limit = 50, offset = 0 } = {}) {
+    if (!db) return { entries: [], total: 0 };
+    const { where, params } = ledgerFilter(filters);
+    const rows = await db.all(`SELECT * FROM tx_ledger ${where} ORDER BY createdAt DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM tx_ledger ${where}`, params);
+    return {
+        entries: rows.map(r => ({ ...r, tokenDeltas: r.tokenDeltas ? JSON.parse(r.tokenDeltas) : null })),
+        total
+    };
+}
+
+// Flywheel settings overrides
+async function getFlywheelSettingRows() {
+    if (!db) return [];
+    return db.all('SELECT key, value, updatedAt, updatedBy FROM flywheel_settings');
+}
+
+/**
+ * Apply setting changes ({ key, oldValue, newValue, reset }) and their audit
+ * entries in one transaction. A reset drops the override.
+ */
+async function saveFlywheelSettings(changes, { actor, reason }) {
+    if (!db) throw new Error("Database not initialized");
+    const now = Date.now();
+    await withTransaction(async () => {
+        for (const { key, oldValue, newValue, reset } of changes) {
+            if (reset) {
+                await db.run('DELETE FROM flywheel_settings WHERE key = ?', [key]);
+            } else {
+                await db.run(
+                    'INSERT OR REPLACE INTO flywheel_settings (key, value, updatedAt, updatedBy) VALUES (?, ?, ?, ?)',
+                    [key, newValue, now, actor]
+                );
+            }
+            await db.run(
+                'INSERT INTO flywheel_settings_audit (key, oldValue, newValue, actor, reason, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+                [key, oldValue, newValue, actor, reason || null, now]
+            );
+        }
+    });
+}
+
+async function listFlywheelSettingsAudit({ key = null, limit = 50, offset = 0 } = {}) {
+    if (!db) return [];
+    const where = key ? 'WHERE key = ?' : '';
+    const params = key ? [key] : [];
+    return db.all(`SELECT * FROM flywheel_settings_audit ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+}
+
+// Airdrop epochs
+/**
+ * Store an airdrop snapshot before anything is sent: the airdrop_logs row
+ * (status 'running') and every batch with its recipients (raw amounts).
+ * `batches` is [{ purpose, recipients: [{ pubkey, points, amount, isKoth }] }].
+ * Returns the epoch id.
+ */
+async function createAirdropEpoch({ amount, totalPoints, details, batches, merkleRoot = null, carryover = [] }) {
+    if (!db) throw new Error("Database not initialized");
+    const now = Date.now();
+    return withTransaction(async () => {
+        const recipients = batches.reduce((n, b) => n + b.recipients.length, 0);
+        const res = await db.run(
+            "INSERT INTO airdrop_logs (amount, recipients, totalPoints, signatures, details, timestamp, status, merkleRoot) VALUES (?, ?, ?, '', ?, ?, 'running', ?)",
+            [amount, recipients, totalPoints, JSON.stringify(details), new Date(now).toISOString(), merkleRoot]
+        );
+        const epochId = res.lastID;
+        for (const [batchIndex, batch] of batches.entries()) {
+            await db.run(
+                'INSERT INTO airdrop_batches (epochId, batchIndex, purpose, updatedAt) VALUES (?, ?, ?, ?)',
+                [epochId, batchIndex, batch.purpose, now]
+            );
+            for (const r of batch.recipients) {
+                await db.run(
+                    'INSERT INTO airdrop_recipients (epochId, batchIndex, pubkey, points, amount, isKoth) VALUES (?, ?, ?, ?, ?, ?)',
+                    [epochId, batchIndex, r.pubkey, r.points ?? null, String(r.amount), r.isKoth ? 1 : 0]
+                );
+            }
+        }
+        await writeCarryover(carryover, now);
+        return epochId;
+    });
+}
+
+/**
+ * Set carry-over balances ([{ pubkey, amount }], raw); 0 clears one
+ */
+async function writeCarryover(balances, now = Date.now()) {
+    for (const { pubkey, amount } of balances) {
+        if (BigInt(amount) === 0n) {
+            await db.run('DELETE FROM airdrop_carryover WHERE pubkey = ?', [pubkey]);
+        } else {
+            await db.run('INSERT OR REPLACE INTO airdrop_carryover (pubkey, amount, updatedAt) VALUES (?, ?, ?)', [pubkey, String(amount), now]);
+        }
+    }
+}
+
+/**
+ * Pending carry-over per wallet (Map pubkey -> raw amount as BigInt)
+ */
+async function getAirdropCarryovers() {
+    if (!db) return new Map();
+    const rows = await db.all('SELECT pubkey, amount FROM airdrop_carryover');
+    return new Map(rows.map(r => [r.pubkey, BigInt(r.amount)]));
+}
+
+/**
+ * Pending carry-over of one wallet (raw units)
+ */
+async function getAirdropCarryover(pubkey) {
+    if (!db) return 0;
+    const row = await db.get('SELECT amount FROM airdrop_carryover WHERE pubkey = ?', [pubkey]);
+    return row ? row.amount : 0;
+}
+
+/**
+ * Carry-over owed to all wallets together (raw units)
+ */
+async function getAirdropCarryoverTotal() {
+    if (!db) return 0;
+    const row = await db.get('SELECT COALESCE(SUM(amount), 0) as total FROM airdrop_carryover');
+    return row.total;
+}
+
+/**
+ * Add payouts that could not be sent ([{ pubkey, amount }], raw) to their wallets' carry-over
+ */
+async function creditAirdropCarryover(payouts) {
+    if (!db) return;
+    const now = Date.now();
+    for (const { pubkey, amount } of payouts) {
+        await db.run(`
+            INSERT INTO airdrop_carryover (pubkey, amount, updatedAt) VALUES (?, ?, ?)
+            ON CONFLICT(pubkey) DO UPDATE SET amount = amount + excluded.amount, updatedAt = excluded.updatedAt
+        `, [pubkey, String(amount), now]);
+    }
+}
+
+async function getAirdropEpoch(epochId) {
+    if (!db) return null;
+    return db.get('SELECT * FROM airdrop_logs WHERE id = ?', [epochId]);
+}
+
+async function getOpenAirdropEpoch() {
+    if (!db) return null;
+    return db.get("SELECT * FROM airdrop_logs WHERE status = 'running' ORDER BY id LIMIT 1");
+}
+
+async function setAirdropMemoSignature(epochId, signature) {
+    if (!db) return;
+    await db.run('UPDATE airdrop_logs SET merkleMemoSig = ? WHERE id = ?', [signature, epochId]);
+}
+
+/**
+ * Recipients of an epoch in snapshot order (the Merkle leaf order)
+ */
+async function getAirdropSnapshot(epochId) {
+    if (!db) return [];
+    return db.all('SELECT pubkey, amount, points, isKoth, batchIndex FROM airdrop_recipients WHERE epochId = ? ORDER BY id', [epochId]);
+}
+
+/**
+ * Batches of an epoch in order, each with its recipients
+ */
+async function getAirdropBatches(epochId) {
+    if (!db) return [];
+    const batches = await db.all('SELECT * FROM airdrop_batches WHERE epochId = ? ORDER BY batchIndex', [epochId]);
+    const recipients = await db.all('SELECT * FROM airdrop_recipients WHERE epochId = ? ORDER BY id', [epochId]);
+    for (const batch of batches) {
+        batch.recipients = recipients.filter(r => r.batchIndex === batch.batchIndex);
+    }
+    return batches;
+}
+
+/**
+ * Claim a batch for sending (counts an attempt). Returns false if it is
+ * already sent or being sent.
+ */
+async function claimAirdropBatch(batchId) {
+    if (!db) return false;
+    const res = await db.run(
+        "UPDATE airdrop_batches SET status = 'sending', attempts = attempts + 1, updatedAt = ? WHERE id = ? AND status IN ('pending', 'failed')",
+        [Date.now(), batchId]
+    );
+    return res.changes > 0;
+}
+
+async function updateAirdropBatch(batchId, { status, signature = null, error = null }) {
+    if (!db) return;
+    await db.run(
+        'UPDATE airdrop_batches SET status = ?, signature = COALESCE(?, signature), error = ?, updatedAt = ? WHERE id = ?',
+        [status, signature, error, Date.now(), batchId]
+    );
+}
+
+/**
+ * Progress of an epoch: its signatures and summary so far, closed (completedAt
+ * set) once the status is no longer 'running'
+ */
+async function updateAirdropEpoch(epochId, { status, signatures, details }) {
+    if (!db) return;
+    await db.run(
+        'UPDATE airdrop_logs SET status = ?, signatures = ?, details = ?, completedAt = ? WHERE id = ?',
+        [status, signatures, JSON.stringify(details), status === 'running' ? null : new Date().toISOString(), epochId]
+    );
+}
+
+// Payouts to one wallet: recipient rows with their batch outcome and epoch time
+const AIRDROP_PAYOUTS_QUERY = `
+    FROM airdrop_recipients r
+    JOIN airdrop_batches b ON b.epochId = r.epochId AND b.batchIndex = r.batchIndex
+    JOIN airdrop_logs l ON l.id = r.epochId
+    WHERE r.pubkey = ?
+`;
+
+/**
+ * Every airdrop payout to `pubkey`, newest first (amounts in PUMP).
+ * `status` is the batch's: only 'sent' payouts have been paid.
+ */
+async function listAirdropPayouts(pubkey, { limit = 50, offset = 0 } = {}) {
+    if (!db) return { payouts: [], total: 0 };
+    const payouts = await db.all(`
+        SELECT r.epochId as epoch, l.timestamp, CAST(r.amount AS REAL) / 1000000 as amount, r.points, r.isKoth,
+            b.status, b.signature
+        ${AIRDROP_PAYOUTS_QUERY}
+        ORDER BY r.epochId DESC, r.isKoth DESC LIMIT ? OFFSET ?
+    `, [pubkey, limit, offset]);
+    const { total } = await db.get(`SELECT COUNT(*) as total ${AIRDROP_PAYOUTS_QUERY}`, [pubkey]);
+    return { payouts: payouts.map(p => ({ ...p, isKoth: !!p.isKoth })), total };
+}
+
+/**
+ * Lifetime totals of what `pubkey` has been paid (sent batches only)
+ */
+async function getAirdropPayoutTotals(pubkey) {
+    const empty = { payouts: 0, totalAmount: 0, kothPayouts: 0, kothAmount: 0, firstPayoutAt: null, lastPayoutAt: null };
+    if (!db) return empty;
+    const totals = await db.get(`
+        SELECT COUNT(*) as payouts,
+            COALESCE(SUM(CAST(r.amount AS REAL)), 0) / 1000000 as totalAmount,
+            COALESCE(SUM(r.isKoth), 0) as kothPayouts,
+            COALESCE(SUM(CASE WHEN r.isKoth = 1 THEN CAST(r.amount AS REAL) ELSE 0 END), 0) / 1000000 as kothAmount,
+            MIN(l.timestamp) as firstPayoutAt,
+            MAX(l.timestamp) as lastPayoutAt
+        ${AIRDROP_PAYOUTS_QUERY} AND b.status = 'sent'
+    `, [pubkey]);
+    return totals || empty;
+}
+
+/**
+ * Most recent paid payout to `pubkey`, or null
+ */
+async function getLastAirdropPayout(pubkey) {
+    if (!db) return null;
+    const payout = await db.get(`
+        SELECT r.epochId as epoch, l.timestamp, CAST(r.amount AS REAL) / 1000000 as amount, r.points, r.isKoth, b.signature
+        ${AIRDROP_PAYOUTS_QUERY} AND b.status = 'sent'
+        ORDER BY r.epochId DESC, r.isKoth DESC LIMIT 1
+    `, [pubkey]);
+    return payout ? { ...payout, isKoth: !!payout.isKoth } : null;
+}
+
+// DCA buyback orders
+async function getActiveBuybackOrder() {
+    if (!db) return null;
+    return db.get("SELECT * FROM buyback_orders WHERE status = 'active' ORDER BY id LIMIT 1");
+}
+
+/**
+ * Add `lamports` to the active order, or open a new one whose first slice is due now
+ */
+async function queueBuybackOrder(lamports) {
+    if (!db) throw new Error("Database not initialized");
+    const now = Date.now();
+    const active = await getActiveBuybackOrder();
+    if (active) {
+        await db.run('UPDATE buyback_orders SET totalLamports = totalLamports + ?, updatedAt = ? WHERE id = ?', [lamports, now, active.id]);
+        return db.get('SELECT * FROM buyback_orders WHERE id = ?', [active.id]);
+    }
+    const res = await db.run(
+        'INSERT INTO buyback_orders (totalLamports, nextSliceAt, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
+        [lamports, now, now, now]
+    );
+    return db.get('SELECT * FROM buyback_orders WHERE id = ?', [res.lastID]);
+}
+
+/**
+ * Record a slice and advance its order in one transaction.
+ * `tokens` (UI amount) and the lamports also go to the lifetime buyback stats;
+ * an `unknown` fill (sent, outcome unclear) counts against the order only.
+ */
+async function recordBuybackFill(orderId, fill, { nextSliceAt }) {
+    if (!db) throw new Error("Database not initialized");
+    const now = Date.now();
+    const filled = fill.status === 'filled';
+    await withTransaction(async () => {
+        await db.run(
+            'INSERT INTO buyback_fills (orderId, lamports, quotedOut, receivedOut, price, signature, route, status, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [orderId, fill.lamports, fill.quotedOut || null, fill.receivedOut || null, fill.price ?? null, fill.signature || null, fill.route || null, fill.status, now]
+        );
+        await db.run(`
+            UPDATE buyback_orders SET
+                filledLamports = filledLamports + ?,
+                tokensBought = tokensBought + ?,
+                fills = fills + 1,
+                referencePrice = COALESCE(referencePrice, ?),
+                lastPrice = COALESCE(?, lastPrice),
+                status = CASE WHEN filledLamports + ? >= totalLamports THEN 'completed' ELSE status END,
+                nextSliceAt = ?,
+                lastError = ?,
+                updatedAt = ?
+            WHERE id = ?
+        `, [fill.lamports, fill.tokens || 0, fill.price ?? null, fill.price ?? null, fill.lamports, nextSliceAt, filled ? null : fill.error || null, now, orderId]);
+        if (filled) {
+            await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [fill.lamports, 'totalPumpBoughtLamports']);
+            await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [fill.tokens || 0, 'totalPumpTokensBought']);
+        }
+    });
+    return db.get('SELECT * FROM buyback_orders WHERE id = ?', [orderId]);
+}
+
+/**
+ * Push back an order's next slice (e.g. the price moved too far), or close it
+ * with `status`. Only active orders change; returns whether one did.
+ */
+async function updateBuybackOrder(orderId, { nextSliceAt = null, status = null, lastError = null }) {
+    if (!db) return false;
+    const res = await db.run(`
+        UPDATE buyback_orders SET nextSliceAt = COALESCE(?, nextSliceAt), status = COALESCE(?, status),
+            lastError = ?, updatedAt = ?
+        WHERE id = ? AND status = 'active'
+    `, [nextSliceAt, status, lastError, Date.now(), orderId]);
+    return res.changes > 0;
+}
+
+async function listBuybackOrders({ status = null, limit = 20, offset = 0 } = {}) {
+    if (!db) return [];
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+    const orders = await db.all(`SELECT * FROM buyback_orders ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    for (const order of orders) {
+        order.fillHistory = await db.all('SELECT * FROM buyback_fills WHERE orderId = ? ORDER BY id', [order.id]);
+    }
+    return orders;
+}
+
 async function saveTokenData(pubkey, mint, metadata) {
     if (!db) return;
     const fs = require('fs');
@@ -295,6 +1158,7 @@ async function saveTokenData(pubkey, mint, metadata) {
 module.exports = {
     initDB,
     getDB: () => db,
+    withTransaction,
     smartCache,
     addFees,
     addPumpBought,
@@ -304,8 +1168,55 @@ module.exports = {
     recordClaim,
     updateNextCheckTime,
     logFlywheelCycle,
+    FLYWHEEL_PERIODS,
+    listFlywheelLogs,
+    getFlywheelTotals,
+    createAirdropEpoch,
+    getAirdropEpoch,
+    getOpenAirdropEpoch,
+    setAirdropMemoSignature,
+    getAirdropSnapshot,
+    getAirdropBatches,
+    claimAirdropBatch,
+    updateAirdropBatch,
+    updateAirdropEpoch,
+    getAirdropCarryovers,
+    getAirdropCarryover,
+    getAirdropCarryoverTotal,
+    creditAirdropCarryover,
+    listAirdropPayouts,
+    getAirdropPayoutTotals,
+    getLastAirdropPayout,
+    getActiveBuybackOrder,
+    queueBuybackOrder,
+    recordBuybackFill,
+    updateBuybackOrder,
+    listBuybackOrders,
     logPurchase,
+    recordTransaction,
+    releaseTransaction,
     saveTokenData,
+    DEPLOY_STAGES,
+    createDeployJob,
+    recordDeployStage,
+    getDeployJob,
+    getDeployJobsByUser,
+    getScheduledDeploys,
+    getDevBuySell,
+    upsertDevBuySell,
+    createRefund,
+    getRefund,
+    claimRefund,
+    completeRefund,
+    failRefund,
+    cancelRefund,
+    listRefunds,
+    insertLedgerEntry,
+    updateLedgerEntry,
+    listLedger,
+    getFlywheelSettingRows,
+    saveFlywheelSettings,
+    listFlywheelSettingsAudit,
     DATA_DIR,
     DB_PATH,
 };
@@ -0,0 +1,111 @@
+/**
+ * Fee Strategy Service
+ * Priority fee pricing from recent fees and compute limits from simulation
+ */
+const { ComputeBudgetProgram } = require('@solana/web3.js');
+const config = require('../config/env');
+const logger = require('./logger');
+const txErrors = require('./txErrors');
+
+// Runtime maximum per transaction
+const MAX_COMPUTE_UNITS = 1400000;
+
+// getRecentPrioritizationFees accepts at most 128 accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+// Recent recommendations keyed by the account set
+const feeCache = new Map();
+
+/**
+ * Writable accounts of a legacy transaction (fee payer included)
+ */
+function getWritableAccounts(tx) {
+    const accounts = new Map();
+    if (tx.feePayer) accounts.set(tx.feePayer.toBase58(), tx.feePayer);
+    for (const ix of tx.instructions) {
+        for (const key of ix.keys) {
+            if (key.isWritable) accounts.set(key.pubkey.toBase58(), key.pubkey);
+        }
+    }
+    return [...accounts.values()].slice(0, MAX_FEE_ACCOUNTS);
+}
+
+/**
+ * Value at the given percentile (0-100) of a sorted list
+ */
+function percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+}
+
+/**
+ * Recommended compute unit price (microlamports) for transactions writing
+ * to `accounts`: configured percentile of recent fees, clamped to floor/ceiling
+ */
+async function getPriorityFee(connection, accounts = []) {
+    const key = accounts.map(a => a.toString()).sort().join(',');
+    const cached = feeCache.get(key);
+    if (cached && Date.now() - cached.timestamp < config.PRIORITY_FEE_CACHE_MS) return cached.microLamports;
+
+    let microLamports = config.PRIORITY_FEE_MICRO_LAMPORTS;
+    try {
+        const recent = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+        const values = recent.map(f => f.prioritizationFee).sort((a, b) => a - b);
+        if (values.length > 0) microLamports = percentile(values, config.PRIORITY_FEE_PERCENTILE);
+    } catch (e) {
+        logger.warn('Priority fee lookup failed, using default', { error: e.message });
+    }
+
+    microLamports = Math.min(config.PRIORITY_FEE_MAX_MICRO_LAMPORTS, Math.max(config.PRIORITY_FEE_MIN_MICRO_LAMPORTS, Math.round(microLamports)));
+
+    if (feeCache.size > 100) feeCache.clear();
+    feeCache.set(key, { microLamports, timestamp: Date.now() });
+    return microLamports;
+}
+
+/**
+ * Compute unit limit for a simulated consumption plus the configured margin
+ */
+function getComputeUnitLimit(unitsConsumed) {
+    if (!unitsConsumed) return config.COMPUTE_UNIT_FALLBACK;
+    return Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * (1 + config.COMPUTE_UNIT_MARGIN)));
+}
+
+/**
+ * Replace any compute budget instructions with the given price and limit
+ */
+function setComputeBudget(tx, { microLamports, units }) {
+    tx.instructions = [
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+        ComputeBudgetProgram.setComputeUnitLimit({ units }),
+        ...tx.instructions.filter(ix => !ix.programId.equals(ComputeBudgetProgram.programId))
+    ];
+    return tx;
+}
+
+/**
+ * Price the transaction from recent fees, simulate it at the maximum limit
+ * and size the limit from the units it consumed.
+ * Throws a decoded error if the simulation fails. The simulation skips
+ * signature verification, so it runs before anyone signs (feePayer must be set).
+ */
+async function applyComputeBudget(connection, tx) {
+    const microLamports = await getPriorityFee(connection, getWritableAccounts(tx));
+    setComputeBudget(tx, { microLamports, units: MAX_COMPUTE_UNITS });
+
+    const { value } = await connection.simulateTransaction(tx);
+    if (value.err) throw txErrors.decodeTransactionError(value.err, value.logs || []);
+
+    const units = getComputeUnitLimit(value.unitsConsumed);
+    setComputeBudget(tx, { microLamports, units });
+    return { microLamports, units, simulation: value };
+}
+
+module.exports = {
+    MAX_COMPUTE_UNITS,
+    getWritableAccounts,
+    getPriorityFee,
+    getComputeUnitLimit,
+    setComputeBudget,
+    applyComputeBudget,
+};
@@ -0,0 +1,152 @@
+/**
+ * Flywheel Settings Service
+ * Runtime-tunable flywheel parameters: defaults come from env, admin overrides
+ * are stored in the DB (with an audit trail) and read at the start of every cycle
+ */
+const config = require('../config/env');
+const logger = require('./logger');
+const database = require('./database');
+
+// Tunable parameters: default, allowed range and whether it must be a whole number
+const SETTINGS = {
+    feeThresholdSol: { default: () => config.FEE_THRESHOLD_SOL, min: 0.001, max: 100, description: 'Pending creator fees needed before claiming (SOL)' },
+    buybackShare: { default: () => config.FLYWHEEL_BUYBACK_SHARE, min: 0, max: 1, description: 'Share of spendable SOL used to buy PUMP' },
+    asdfFeeShare: { default: () => config.FLYWHEEL_ASDF_FEE_SHARE, min: 0, max: 1, description: 'Share sent to the ASDF fee wallet' },
+    upkeepShare: { default: () => config.FLYWHEEL_UPKEEP_SHARE, min: 0, max: 1, description: 'Share sent to the upkeep wallet' },
+    airdropThresholdPump: { default: () => config.AIRDROP_THRESHOLD_PUMP, min: 1, max: 1e12, description: 'PUMP holdings that trigger an airdrop' },
+    reserveSol: { default: () => config.FLYWHEEL_RESERVE_SOL, min: 0, max: 1000, description: 'SOL kept on top of airdrop costs before excess buybacks' },
+    maxBuySol: { default: () => config.FLYWHEEL_MAX_BUY_SOL, min: 0.05, max: 1000, description: 'Largest single buyback (SOL)' },
+    minPayoutPump: { default: () => config.AIRDROP_MIN_PAYOUT_PUMP, min: 0, max: 1e9, description: 'Smallest airdrop payout; smaller shares carry over to later airdrops (PUMP)' },
+    kothShare: { default: () => config.KOTH_SHARE, min: 0, max: 1, description: 'Share of each airdrop paid to the King of the Hill' },
+    slippageBps: { default: () => config.BUYBACK_SLIPPAGE_BPS, min: 1, max: 5000, integer: true, description: 'Slippage allowed on buyback swaps (bps)' },
+    maxPriceImpactPct: { default: () => config.BUYBACK_MAX_PRICE_IMPACT_PCT, min: 0.01, max: 50, description: 'Largest quoted price impact a buyback may have (%)' },
+    maxPriceDeviationPct: { default: () => config.BUYBACK_MAX_PRICE_DEVIATION_PCT, min: 0.01, max: 50, description: 'How far below the reference quote the buyback price may be (%)' },
+    dcaSliceSol: { default: () => config.BUYBACK_DCA_SLICE_SOL, min: 0, max: 1000, description: 'Largest buyback bought at once; bigger ones are bought in slices of this size (SOL, 0 = off)' },
+    dcaIntervalMs: { default: () => config.BUYBACK_DCA_INTERVAL_MS, min: 15 * 1000, max: 24 * 60 * 60 * 1000, integer: true, description: 'Time between DCA buyback slices (ms)' },
+    dcaMaxSliceDeviationPct: { default: () => config.BUYBACK_DCA_MAX_SLICE_DEVIATION_PCT, min: 0.01, max: 50, description: 'How much worse than the previous slice a slice may be priced (%)' },
+    cycleIntervalMs: { default: () => config.FLYWHEEL_INTERVAL_MS, min: 60 * 1000, max: 24 * 60 * 60 * 1000, integer: true, description: 'Time between flywheel cycles (ms)' },
+};
+
+// The spend split must add up to the whole amount
+const SPLIT_KEYS = ['buybackShare', 'asdfFeeShare', 'upkeepShare'];
+
+function getDefaults() {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([key, s]) => [key, s.default()]));
+}
+
+/**
+ * Problem with a single value, or null if it is valid
+ */
+function checkValue(key, value) {
+    const setting = SETTINGS[key];
+    if (!setting) return `Unknown setting '${key}'`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+    if (setting.integer && !Number.isInteger(value)) return `${key} must be a whole number`;
+    if (value < setting.min || value > setting.max) return `${key} must be between ${setting.min} and ${setting.max}`;
+    return null;
+}
+
+/**
+ * Problems with a complete settings object (cross-field rules)
+ */
+function checkSettings(settings) {
+    const total = SPLIT_KEYS.reduce((sum, key) => sum + settings[key], 0);
+    if (Math.abs(total - 1) > 1e-9) return [`${SPLIT_KEYS.join(' + ')} must add up to 1 (got ${total})`];
+    return [];
+}
+
+/**
+ * Problems with the defaults from the env (checked at startup: the admin API
+ * rejects every change while they are invalid)
+ */
+function checkDefaults() {
+    const defaults = getDefaults();
+    const errors = Object.entries(defaults).map(([key, value]) => checkValue(key, value)).filter(Boolean);
+    return errors.length > 0 ? errors : checkSettings(defaults);
+}
+
+/**
+ * Effective settings: defaults with the stored overrides applied.
+ * Also returns which keys are overridden and when/by whom.
+ */
+async function getSettingsDetail() {
+    const settings = getDefaults();
+    const overrides = {};
+    for (const row of await database.getFlywheelSettingRows()) {
+        const problem = checkValue(row.key, row.value);
+        if (problem) {
+            logger.warn(`Ignoring stored flywheel setting: ${problem}`);
+            continue;
+        }
+        settings[row.key] = row.value;
+        overrides[row.key] = { updatedAt: row.updatedAt, updatedBy: row.updatedBy };
+    }
+    if (checkSettings(settings).length > 0) {
+        // Stored split no longer adds up (e.g. the env defaults changed): use the defaults for it
+        logger.warn('Stored flywheel split is inconsistent, using defaults', { errors: checkSettings(settings) });
+        const defaults = getDefaults();
+        for (const key of SPLIT_KEYS) settings[key] = defaults[key];
+    }
+    return { settings, overrides };
+}
+
+async function getSettings() {
+    return (await getSettingsDetail()).settings;
+}
+
+/**
+ * Validate and apply changes ({ key: number, or null to go back to the default }).
+ * Returns { settings } or { errors } (nothing is written when there are errors).
+ */
+async function updateSettings(changes, { actor = 'admin', reason = null } = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+        return { errors: ['No changes given'] };
+    }
+
+    const { settings: current, overrides } = await getSettingsDetail();
+    const defaults = getDefaults();
+    const next = { ...current };
+    const errors = [];
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === null && SETTINGS[key]) {
+            next[key] = defaults[key];
+            continue;
+        }
+        const problem = checkValue(key, value);
+        if (problem) errors.push(problem);
+        else next[key] = value;
+    }
+    if (errors.length === 0) errors.push(...checkSettings(next));
+    if (errors.length > 0) return { errors };
+
+    const applied = Object.entries(changes)
+        .filter(([key, value]) => (value === null ? key in overrides : next[key] !== current[key]))
+        .map(([key, value]) => ({ key, oldValue: current[key], newValue: next[key], reset: value === null }));
+
+    if (applied.length > 0) {
+        await database.saveFlywheelSettings(applied, { actor, reason });
+        logger.info(`Flywheel settings changed by ${actor}`, { changes: applied.map(c => `${c.key}: ${c.oldValue} -> ${c.newValue}`), reason });
+    }
+    return { settings: next, changed: applied.map(c => c.key) };
+}
+
+/**
+ * Setting definitions for the admin API
+ */
+function describeSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([key, s]) => [
+        key, { default: s.default(), min: s.min, max: s.max, integer: !!s.integer, description: s.description }
+    ]));
+}
+
+module.exports = {
+    SETTINGS,
+    getDefaults,
+    checkDefaults,
+    getSettings,
+    getSettingsDetail,
+    updateSettings,
+    describeSettings,
+    listAudit: database.listFlywheelSettingsAudit,
+};
@@ -4,6 +4,9 @@
  */
 const logger = require('./logger');
 const database = require('./database');
+const rpcPool = require('./rpcPool');
+const ledger = require('./ledger');
+const signer = require('./signer');
 const solana = require('./solana');
 const vanity = require('./vanity');
 const pinata = require('./pinata');
@@ -12,10 +15,23 @@ const pump = require('./pump');
 const twitter = require('./twitter');
 const moderation = require('./moderation');
 const jupiter = require('./jupiter');
+const payments = require('./payments');
+const refunds = require('./refunds');
+const txErrors = require('./txErrors');
+const fees = require('./fees');
+const wallets = require('./wallets');
+const flywheelSettings = require('./flywheelSettings');
+const pumpAmm = require('./pumpAmm');
+const buyback = require('./buyback');
+const buybackOrders = require('./buybackOrders');
+const merkle = require('./merkle');
 
 module.exports = {
     logger,
     database,
+    rpcPool,
+    ledger,
+    signer,
     solana,
     vanity,
     pinata,
@@ -24,4 +40,14 @@ module.exports = {
     twitter,
     moderation,
     jupiter,
+    payments,
+    refunds,
+    txErrors,
+    fees,
+    wallets,
+    flywheelSettings,
+    pumpAmm,
+    buyback,
+    buybackOrders,
+    merkle,
 };
@@ -3,9 +3,14 @@
  * DEX aggregation for token swaps
  */
 const axios = require('axios');
-const { VersionedTransaction } = require('@solana/web3.js');
+const { VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const config = require('../config/env');
 const { TOKENS } = require('../config/constants');
 const logger = require('./logger');
+const ledger = require('./ledger');
+const signer = require('./signer');
+const solana = require('./solana');
 
 /**
  * Get quote for token swap
@@ -24,7 +29,7 @@ async function getQuote(inputMint, outputMint, amountIn, slippageBps = 100) {
 }
 
 /**
- * Get swap transaction
+ * Get swap transaction: { swapTransaction (base64), lastValidBlockHeight }
  * Updated: Using new Jupiter lite-api endpoint (Dec 2025)
  */
 async function getSwapTransaction(quoteResponse, userPublicKey, wrapAndUnwrapSol = true) {
@@ -34,48 +39,147 @@ async function getSwapTransaction(quoteResponse, userPublicKey, wrapAndUnwrapSol
         wrapAndUnwrapSol
     });
 
-    return response.data.swapTransaction;
+    const { swapTransaction, lastValidBlockHeight } = response.data;
+    return { swapTransaction, lastValidBlockHeight };
 }
 
+// Swap result before anything is known (see swapSolToToken)
+const emptySwapResult = () => ({
+    success: false, aborted: false, signature: null, statusUnknown: false,
+    quotedOut: null, minOut: null, receivedOut: null, outAmount: null, spentLamports: null,
+    slippagePct: null, priceImpactPct: null, deviationPct: null, error: null
+});
+
+// Jupiter reports price impact as a fraction
+const toPct = (fraction) => parseFloat(fraction || 0) * 100;
+
 /**
- * Swap SOL to a specific Token
+ * Output per input unit of a quote
  */
-async function swapSolToToken(amountLamports, outputMint, wallet, connection) {
-    try {
-        // 1. Get Quote (SOL -> Token)
-        // Input is always WSOL for SOL swaps
-        const quoteResponse = await getQuote(
-            'So11111111111111111111111111111111111111112', // WSOL Mint
-            outputMint.toString(),
-            amountLamports
-        );
+function quotePrice(quote) {
+    return Number(quote.outAmount) / Number(quote.inAmount);
+}
+
+/**
+ * Check a buy quote against the guards: its quoted price impact, and its price
+ * against a small reference quote for the same pair taken just before (a route
+ * priced far below the marginal price is treated as suspicious).
+ * Fills priceImpactPct/deviationPct on `result`; returns the problem or null.
+ */
+async function checkQuote(quote, { maxPriceImpactPct, maxPriceDeviationPct }, result) {
+    result.priceImpactPct = toPct(quote.priceImpactPct);
+    if (result.priceImpactPct > maxPriceImpactPct) {
+        return `Price impact ${result.priceImpactPct.toFixed(2)}% above the ${maxPriceImpactPct}% limit`;
+    }
 
-        if (!quoteResponse) throw new Error("Failed to get Jupiter quote");
+    const reference = await getQuote(quote.inputMint, quote.outputMint, Math.round(config.BUYBACK_REFERENCE_QUOTE_SOL * LAMPORTS_PER_SOL));
+    if (!reference) return 'No reference quote to compare against';
+    result.deviationPct = (1 - quotePrice(quote) / quotePrice(reference)) * 100;
+    if (result.deviationPct > maxPriceDeviationPct) {
+        return `Quote ${result.deviationPct.toFixed(2)}% below the reference price (limit ${maxPriceDeviationPct}%)`;
+    }
+    return null;
+}
+
+/**
+ * Quote a SOL -> token buy and run the guards on it (nothing is sent).
+ * Guards (defaults from config): slippageBps, maxPriceImpactPct, maxPriceDeviationPct.
+ * Returns { quote, result } where result is the swap result shape below;
+ * result.aborted is set when a guard refused the quote.
+ */
+async function quoteSolToToken(amountLamports, outputMint, guards = {}) {
+    const {
+        slippageBps = config.BUYBACK_SLIPPAGE_BPS,
+        maxPriceImpactPct = config.BUYBACK_MAX_PRICE_IMPACT_PCT,
+        maxPriceDeviationPct = config.BUYBACK_MAX_PRICE_DEVIATION_PCT
+    } = guards;
+    const result = emptySwapResult();
+
+    // Input is always WSOL for SOL swaps
+    const quote = await getQuote(TOKENS.WSOL.toString(), outputMint.toString(), amountLamports, slippageBps);
+    if (!quote) throw new Error("Failed to get Jupiter quote");
+    result.quotedOut = quote.outAmount;
+    result.minOut = quote.otherAmountThreshold;
+
+    const problem = await checkQuote(quote, { maxPriceImpactPct, maxPriceDeviationPct }, result);
+    if (problem) Object.assign(result, { aborted: true, error: problem });
+    return { quote, result };
+}
+
+/**
+ * Swap SOL to a specific Token (guards as for quoteSolToToken).
+ * Always returns a result: { success, aborted, signature, statusUnknown, quotedOut, minOut,
+ * receivedOut, outAmount, spentLamports, slippagePct, priceImpactPct, deviationPct, error }
+ * (token amounts are raw strings; spentLamports = SOL a successful swap used; aborted = a guard refused the quote, nothing sent;
+ * signature = the swap was broadcast; statusUnknown = it may still have landed).
+ */
+async function swapSolToToken(amountLamports, outputMint, wallet, connection, guards = {}) {
+    const owner = wallet.publicKey.toBase58();
+    let result = emptySwapResult();
+    let signature = null;
+    let sent = false;
+
+    try {
+        // 1. Get Quote (SOL -> Token) and check it against the guards
+        const prepared = await quoteSolToToken(amountLamports, outputMint, guards);
+        const quoteResponse = prepared.quote;
+        result = prepared.result;
+        if (result.aborted) {
+            logger.warn(`Jupiter swap aborted: ${result.error}`, { amountLamports, quotedOut: result.quotedOut });
+            return result;
+        }
 
         // 2. Get Transaction
-        const swapTransactionBase64 = await getSwapTransaction(
+        const { swapTransaction: swapTransactionBase64, lastValidBlockHeight } = await getSwapTransaction(
             quoteResponse,
             wallet.publicKey
         );
 
-        // 3. Sign and Send
+        // 3. Sign and Send (preflight on, so a quote that already moved past the slippage limit never lands)
         const swapTransactionBuf = Buffer.from(swapTransactionBase64, 'base64');
         const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-        transaction.sign([wallet]);
+        await signer.signVersionedTransaction(transaction, [wallet]);
+        signature = bs58.encode(transaction.signatures[0]);
+        await ledger.recordSent(signature, owner, { purpose: ledger.LEDGER_PURPOSES.BUYBACK, mint: outputMint.toString() });
 
-        const sig = await connection.sendTransaction(transaction, {
-            skipPreflight: true,
-            maxRetries: 2
-        });
+        await connection.sendTransaction(transaction, { skipPreflight: false, maxRetries: 2 });
+        // Only a broadcast swap has a signature in the result: without one, no SOL was spent
+        sent = true;
+        result.signature = signature;
+
+        // Rebroadcast until it lands or its blockhash expires, as for every other send
+        // (a blockhash is valid for 150 blocks, in case Jupiter leaves the height out)
+        const expiresAt = lastValidBlockHeight || (await connection.getBlockHeight('confirmed')) + 150;
+        const outcome = await solana.confirmSignature(signature, transaction.serialize(), expiresAt);
+        const details = await ledger.recordResult(signature, owner, outcome.status, outcome.error?.message || null);
+        if (outcome.status === solana.TX_STATUS.EXPIRED) {
+            logger.error("Jupiter swap expired before confirming", { signature });
+            return { ...result, signature: null, error: `Swap ${signature} expired before confirming` };
+        }
+        if (outcome.status === solana.TX_STATUS.FAILED) {
+            logger.error("Jupiter swap failed on-chain", { signature, error: outcome.error.message });
+            return { ...result, error: `Swap failed on-chain: ${outcome.error.message}` };
+        }
 
-        await connection.confirmTransaction(sig, 'confirmed');
-        
-        logger.info(`Jupiter swap completed: SOL -> ${outputMint.toString().slice(0, 5)}...`, { signature: sig, outAmount: quoteResponse.outAmount });
-        
-        return { signature: sig, outAmount: quoteResponse.outAmount };
+        // 4. Realized slippage from the wallet's actual token balance change
+        const received = details.tokenDeltas?.[outputMint.toString()];
+        if (received) {
+            result.receivedOut = received;
+            result.slippagePct = (1 - Number(received) / Number(result.quotedOut)) * 100;
+        }
+        result.outAmount = result.receivedOut || result.quotedOut;
+        result.spentLamports = amountLamports;
+        result.success = true;
+
+        logger.info(`Jupiter swap completed: SOL -> ${outputMint.toString().slice(0, 5)}...`, {
+            signature: result.signature, quotedOut: result.quotedOut, receivedOut: result.receivedOut, slippagePct: result.slippagePct
+        });
+        return result;
     } catch (e) {
         logger.error("Jupiter Swap Error", { error: e.message });
-        return null;
+        // Rejected in preflight means it was never broadcast
+        if (signature) await ledger.recordResult(signature, owner, sent ? 'unknown' : 'failed', e.message);
+        return { ...result, statusUnknown: sent, error: e.message };
     }
 }
 
@@ -89,6 +193,8 @@ async function swapSolToUsdc(amountLamports, wallet, connection) {
 module.exports = {
     getQuote,
     getSwapTransaction,
+    emptySwapResult,
+    quoteSolToToken,
     swapSolToToken,
     swapSolToUsdc
 };
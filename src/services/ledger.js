@@ -0,0 +1,85 @@
+/**
+ * Transaction Ledger Service
+ * Records every outgoing transaction with its purpose, outcome and balance deltas
+ */
+const rpcPool = require('./rpcPool');
+const database = require('./database');
+const logger = require('./logger');
+
+// What a transaction was sent for
+const LEDGER_PURPOSES = {
+    DEPLOY: 'deploy',
+    DEV_BUY_SELL: 'dev_buy_sell',
+    REFUND: 'refund',
+    FEE_CLAIM: 'fee_claim',
+    FEE_DISTRIBUTION: 'fee_distribution',
+    BUYBACK: 'buyback',
+    AIRDROP: 'airdrop',
+    KOTH_AIRDROP: 'koth_airdrop',
+    AIRDROP_MEMO: 'airdrop_memo',
+    WALLET_TRANSFER: 'wallet_transfer',
+    OTHER: 'other',
+};
+
+/**
+ * SOL and token balance changes for `wallet` in a landed transaction.
+ * Token deltas are raw amounts (strings) keyed by mint.
+ */
+function extractDeltas(tx, wallet) {
+    const { meta } = tx;
+    const keys = tx.transaction.message
+        .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+        .keySegments().flat()
+        .map(k => k.toBase58());
+
+    const index = keys.indexOf(wallet);
+    const lamportsDelta = index >= 0 ? meta.postBalances[index] - meta.preBalances[index] : 0;
+
+    const deltas = new Map();
+    const add = (balances, sign) => {
+        for (const b of balances || []) {
+            if (b.owner !== wallet) continue;
+            deltas.set(b.mint, (deltas.get(b.mint) || 0n) + sign * BigInt(b.uiTokenAmount.amount));
+        }
+    };
+    add(meta.postTokenBalances, 1n);
+    add(meta.preTokenBalances, -1n);
+
+    const tokenDeltas = {};
+    for (const [mint, delta] of deltas) {
+        if (delta !== 0n) tokenDeltas[mint] = delta.toString();
+    }
+
+    return { lamportsDelta, tokenDeltas, feeLamports: meta.fee };
+}
+
+/**
+ * Record a signed transaction before it is broadcast
+ */
+async function recordSent(signature, wallet, { purpose, mint, userPubkey, jobId } = {}) {
+    await database.insertLedgerEntry({ signature, purpose, wallet, mint, userPubkey, jobId });
+}
+
+/**
+ * Record the outcome; landed transactions (confirmed or failed) also get
+ * their fee and balance deltas. Returns those details ({} if not loaded).
+ */
+async function recordResult(signature, wallet, status, error = null) {
+    let details = {};
+    if (status === 'confirmed' || status === 'failed') {
+        try {
+            const tx = await rpcPool.connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+            if (tx?.meta) details = extractDeltas(tx, wallet);
+        } catch (e) {
+            logger.warn('Ledger: could not load transaction details', { signature, error: e.message });
+        }
+    }
+    await database.updateLedgerEntry(signature, { status, error, ...details });
+    return details;
+}
+
+module.exports = {
+    LEDGER_PURPOSES,
+    recordSent,
+    recordResult,
+};
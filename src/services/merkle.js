@@ -0,0 +1,89 @@
+/**
+ * Airdrop Merkle Service
+ * Merkle tree over an airdrop snapshot, so anyone can check a payout against
+ * the published root offline.
+ *
+ * leaf = sha256(0x00 || recipient pubkey (32 bytes) || amount (u64 LE, raw units) || isKoth (u8))
+ * node = sha256(0x01 || lower hash || higher hash)   (the pair is sorted, so a proof has no directions)
+ * A node without a sibling moves up unchanged.
+ */
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+const LEAF_ENCODING = 'sha256(0x00 || pubkey[32] || amount u64 LE || isKoth u8); node = sha256(0x01 || sorted(left, right)); unpaired nodes move up unchanged';
+
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Leaf hash of one payout ({ pubkey, amount (raw, string or number), isKoth })
+ */
+function hashLeaf({ pubkey, amount, isKoth }) {
+    const amountBuf = Buffer.alloc(8);
+    amountBuf.writeBigUInt64LE(BigInt(amount));
+    return sha256(LEAF_PREFIX, new PublicKey(pubkey).toBuffer(), amountBuf, Buffer.from([isKoth ? 1 : 0]));
+}
+
+function hashPair(a, b) {
+    return Buffer.compare(a, b) <= 0 ? sha256(NODE_PREFIX, a, b) : sha256(NODE_PREFIX, b, a);
+}
+
+/**
+ * Every level of the tree, leaves first
+ */
+function buildLevels(leaves) {
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+/**
+ * Root (hex) of a snapshot's payouts, in snapshot order
+ */
+function getRoot(payouts) {
+    if (payouts.length === 0) return null;
+    const levels = buildLevels(payouts.map(hashLeaf));
+    return levels[levels.length - 1][0].toString('hex');
+}
+
+/**
+ * Leaf and sibling hashes (hex) proving payout `index` of the snapshot
+ */
+function getProof(payouts, index) {
+    const levels = buildLevels(payouts.map(hashLeaf));
+    const proof = [];
+    let i = index;
+    for (const level of levels.slice(0, -1)) {
+        const sibling = i % 2 === 0 ? i + 1 : i - 1;
+        if (sibling < level.length) proof.push(level[sibling].toString('hex'));
+        i = Math.floor(i / 2);
+    }
+    return { leaf: levels[0][index].toString('hex'), proof };
+}
+
+/**
+ * Check a payout and its proof against a root (hex)
+ */
+function verifyProof(payout, proof, root) {
+    const computed = proof.reduce((hash, sibling) => hashPair(hash, Buffer.from(sibling, 'hex')), hashLeaf(payout));
+    return computed.toString('hex') === root;
+}
+
+module.exports = {
+    LEAF_ENCODING,
+    hashLeaf,
+    getRoot,
+    getProof,
+    verifyProof,
+};
@@ -0,0 +1,97 @@
+/**
+ * Payment Verification Service
+ * Checks user fee payments on-chain before work is queued
+ */
+const { SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const config = require('../config/env');
+const logger = require('./logger');
+
+// Error codes returned to the frontend
+const PAYMENT_ERRORS = {
+    NOT_FOUND: 'PAYMENT_NOT_FOUND',
+    FAILED: 'PAYMENT_FAILED',
+    EXPIRED: 'PAYMENT_EXPIRED',
+    WRONG_RECIPIENT: 'PAYMENT_WRONG_RECIPIENT',
+    WRONG_PAYER: 'PAYMENT_WRONG_PAYER',
+    WRONG_AMOUNT: 'PAYMENT_WRONG_AMOUNT',
+    ALREADY_USED: 'PAYMENT_ALREADY_USED',
+};
+
+/**
+ * Required deployment fee in lamports
+ */
+function getDeploymentFeeLamports() {
+    return Math.round(config.DEPLOYMENT_FEE_SOL * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Collect top-level System Program transfers from a parsed transaction
+ */
+function getSystemTransfers(parsedTx) {
+    const instructions = parsedTx.transaction?.message?.instructions || [];
+    return instructions
+        .filter(ix => ix.programId?.equals?.(SystemProgram.programId) && ix.parsed?.type === 'transfer')
+        .map(ix => ({
+            source: ix.parsed.info.source,
+            destination: ix.parsed.info.destination,
+            lamports: Number(ix.parsed.info.lamports)
+        }));
+}
+
+/**
+ * Verify that a finalized transaction pays at least `minLamports` from payer to recipient.
+ * Returns { valid: true, lamports } or { valid: false, code, error }.
+ */
+async function verifyPayment(connection, { signature, payer, recipient, minLamports }) {
+    let parsedTx = null;
+    try {
+        parsedTx = await connection.getParsedTransaction(signature, {
+            commitment: 'finalized',
+            maxSupportedTransactionVersion: 0
+        });
+    } catch (e) {
+        logger.warn('Payment lookup failed', { signature, error: e.message });
+    }
+
+    if (!parsedTx) {
+        return { valid: false, code: PAYMENT_ERRORS.NOT_FOUND, error: "Payment not found or not finalized yet. Try again shortly." };
+    }
+
+    if (parsedTx.meta?.err) {
+        return { valid: false, code: PAYMENT_ERRORS.FAILED, error: "Payment transaction failed on-chain." };
+    }
+
+    if (parsedTx.blockTime && (Date.now() / 1000 - parsedTx.blockTime) > config.PAYMENT_MAX_AGE_SECONDS) {
+        return { valid: false, code: PAYMENT_ERRORS.EXPIRED, error: "Payment is too old to be used for a deployment." };
+    }
+
+    const payerStr = payer.toString();
+    const recipientStr = recipient.toString();
+
+    const toRecipient = getSystemTransfers(parsedTx).filter(t => t.destination === recipientStr);
+    if (toRecipient.length === 0) {
+        return { valid: false, code: PAYMENT_ERRORS.WRONG_RECIPIENT, error: "Payment was not sent to the deployment wallet." };
+    }
+
+    const fromPayer = toRecipient.filter(t => t.source === payerStr);
+    if (fromPayer.length === 0) {
+        return { valid: false, code: PAYMENT_ERRORS.WRONG_PAYER, error: "Payment was not sent from the connected wallet." };
+    }
+
+    const lamports = fromPayer.reduce((sum, t) => sum + t.lamports, 0);
+    if (lamports < minLamports) {
+        return {
+            valid: false,
+            code: PAYMENT_ERRORS.WRONG_AMOUNT,
+            error: `Payment too low: received ${lamports / LAMPORTS_PER_SOL} SOL, need ${minLamports / LAMPORTS_PER_SOL} SOL.`
+        };
+    }
+
+    return { valid: true, lamports };
+}
+
+module.exports = {
+    PAYMENT_ERRORS,
+    getDeploymentFeeLamports,
+    verifyPayment,
+};
@@ -104,7 +104,19 @@ async function uploadMetadata(name, symbol, description, twitter, website, image
     }
 }
 
+/**
+ * Fetch previously uploaded metadata JSON
+ */
+async function fetchMetadata(metadataUri) {
+    const response = await axios.get(metadataUri, { timeout: 10000 });
+    if (!response.data || typeof response.data !== 'object') {
+        throw new Error("Metadata is not valid JSON");
+    }
+    return response.data;
+}
+
 module.exports = {
     uploadImage,
     uploadMetadata,
+    fetchMetadata,
 };
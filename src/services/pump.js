@@ -57,16 +57,17 @@ function getPumpPDAs(mint) {
 }
 
 /**
- * Get Pump AMM PDAs for a token
+ * Get Pump AMM PDAs for a token (the canonical pool a bonding curve migrates to)
  */
 function getPumpAmmPDAs(mint) {
     const [poolAuthority] = PublicKey.findProgramAddressSync(
         [Buffer.from("pool-authority"), mint.toBuffer()],
-        PROGRAMS.PUMP_AMM
+        PROGRAMS.PUMP
     );
 
+    // Seeds: "pool", index (u16 LE, 0 for the canonical pool), creator, base mint, quote mint
     const [pool] = PublicKey.findProgramAddressSync(
-        [Buffer.from("pool"), poolAuthority.toBuffer(), mint.toBuffer(), TOKENS.WSOL.toBuffer()],
+        [Buffer.from("pool"), Buffer.from([0, 0]), poolAuthority.toBuffer(), mint.toBuffer(), TOKENS.WSOL.toBuffer()],
         PROGRAMS.PUMP_AMM
     );
 
@@ -87,6 +88,99 @@ function getPumpAmmPDAs(mint) {
     };
 }
 
+/**
+ * Pump AMM program-wide PDAs
+ */
+function getPumpAmmGlobalPDAs() {
+    const [globalConfig] = PublicKey.findProgramAddressSync([Buffer.from("global_config")], PROGRAMS.PUMP_AMM);
+    const [eventAuthority] = PublicKey.findProgramAddressSync([Buffer.from("__event_authority")], PROGRAMS.PUMP_AMM);
+    const [globalVolumeAccumulator] = PublicKey.findProgramAddressSync([Buffer.from("global_volume_accumulator")], PROGRAMS.PUMP_AMM);
+    const [feeConfig] = PublicKey.findProgramAddressSync([Buffer.from("fee_config"), PROGRAMS.PUMP_AMM.toBuffer()], PROGRAMS.FEE);
+    return { globalConfig, eventAuthority, globalVolumeAccumulator, feeConfig };
+}
+
+/**
+ * Decode a Pump AMM GlobalConfig account (fees in basis points)
+ */
+function decodeAmmGlobalConfig(data) {
+    const recipients = [];
+    for (let i = 0; i < 8; i++) recipients.push(new PublicKey(data.subarray(57 + i * 32, 89 + i * 32)));
+    return {
+        lpFeeBps: new BN(data.subarray(40, 48), 'le'),
+        protocolFeeBps: new BN(data.subarray(48, 56), 'le'),
+        protocolFeeRecipients: recipients.filter(r => !r.equals(PublicKey.default)),
+        coinCreatorFeeBps: data.length >= 321 ? new BN(data.subarray(313, 321), 'le') : new BN(0)
+    };
+}
+
+/**
+ * Decode a Pump AMM Pool account
+ */
+function decodeAmmPool(data) {
+    const key = (offset) => new PublicKey(data.subarray(offset, offset + 32));
+    return {
+        creator: key(11),
+        baseMint: key(43),
+        quoteMint: key(75),
+        lpMint: key(107),
+        poolBaseTokenAccount: key(139),
+        poolQuoteTokenAccount: key(171),
+        coinCreator: data.length >= 243 ? key(211) : PublicKey.default
+    };
+}
+
+/**
+ * Base tokens out for `quoteIn` on a Pump AMM pool (constant product after fees).
+ * All amounts are BN in raw units.
+ */
+function calculateAmmBuy({ quoteIn, baseReserve, quoteReserve, feeBps }) {
+    const effectiveQuote = quoteIn.mul(new BN(10000)).div(new BN(10000).add(feeBps));
+    return baseReserve.mul(effectiveQuote).div(quoteReserve.add(effectiveQuote));
+}
+
+/**
+ * Build a Pump AMM buy instruction: exactly `baseAmountOut` for at most
+ * `maxQuoteAmountIn`. The user's base and quote (WSOL) token accounts must exist.
+ */
+function buildAmmBuyInstruction({ pool, poolState, protocolFeeRecipient, user, baseAmountOut, maxQuoteAmountIn, baseTokenProgram, quoteTokenProgram = TOKEN_PROGRAM_ID }) {
+    const { globalConfig, eventAuthority, globalVolumeAccumulator, feeConfig } = getPumpAmmGlobalPDAs();
+    const [coinCreatorVaultAuthority] = PublicKey.findProgramAddressSync([Buffer.from("creator_vault"), poolState.coinCreator.toBuffer()], PROGRAMS.PUMP_AMM);
+    const [userVolumeAccumulator] = PublicKey.findProgramAddressSync([Buffer.from("user_volume_accumulator"), user.toBuffer()], PROGRAMS.PUMP_AMM);
+
+    const data = Buffer.concat([
+        Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]),
+        baseAmountOut.toArrayLike(Buffer, 'le', 8),
+        maxQuoteAmountIn.toArrayLike(Buffer, 'le', 8),
+        Buffer.from([0]) // track_volume
+    ]);
+    const keys = [
+        { pubkey: pool, isSigner: false, isWritable: true },
+        { pubkey: user, isSigner: true, isWritable: true },
+        { pubkey: globalConfig, isSigner: false, isWritable: false },
+        { pubkey: poolState.baseMint, isSigner: false, isWritable: false },
+        { pubkey: poolState.quoteMint, isSigner: false, isWritable: false },
+        { pubkey: getATA(poolState.baseMint, user, baseTokenProgram), isSigner: false, isWritable: true },
+        { pubkey: getATA(poolState.quoteMint, user, quoteTokenProgram), isSigner: false, isWritable: true },
+        { pubkey: poolState.poolBaseTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: poolState.poolQuoteTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: protocolFeeRecipient, isSigner: false, isWritable: false },
+        { pubkey: getATA(poolState.quoteMint, protocolFeeRecipient, quoteTokenProgram), isSigner: false, isWritable: true },
+        { pubkey: baseTokenProgram, isSigner: false, isWritable: false },
+        { pubkey: quoteTokenProgram, isSigner: false, isWritable: false },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: eventAuthority, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.PUMP_AMM, isSigner: false, isWritable: false },
+        { pubkey: getATA(poolState.quoteMint, coinCreatorVaultAuthority, quoteTokenProgram), isSigner: false, isWritable: true },
+        { pubkey: coinCreatorVaultAuthority, isSigner: false, isWritable: false },
+        { pubkey: globalVolumeAccumulator, isSigner: false, isWritable: true },
+        { pubkey: userVolumeAccumulator, isSigner: false, isWritable: true },
+        { pubkey: feeConfig, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.FEE, isSigner: false, isWritable: false }
+    ];
+    return new TransactionInstruction({ keys, programId: PROGRAMS.PUMP_AMM, data });
+}
+
 /**
  * Get creator fee vault addresses
  */
@@ -168,6 +262,79 @@ function buildSellInstructionData(tokenAmount) {
     return Buffer.concat([discriminator, sellAmountBuf, minSolOutputBuf]);
 }
 
+/**
+ * Build the create + creator ATA + initial buy instructions for a launch
+ * The mint keypair and `creator` must both sign the resulting transaction
+ */
+function buildLaunchInstructions({ mint, creator, name, ticker, metadataUri, isMayhemMode, solBuyLamports }) {
+    const { global, bondingCurve, associatedBondingCurve, eventAuthority, feeConfig, globalVolumeAccumulator } = getPumpPDAs(mint);
+    const [mintAuthority] = PublicKey.findProgramAddressSync([Buffer.from("mint-authority")], PROGRAMS.PUMP);
+    const [creatorVault] = PublicKey.findProgramAddressSync([Buffer.from("creator-vault"), creator.toBuffer()], PROGRAMS.PUMP);
+    const [userVolumeAccumulator] = PublicKey.findProgramAddressSync([Buffer.from("user_volume_accumulator"), creator.toBuffer()], PROGRAMS.PUMP);
+    const [mayhemState] = PublicKey.findProgramAddressSync([Buffer.from("mayhem-state"), mint.toBuffer()], PROGRAMS.MAYHEM);
+    const mayhemTokenVault = getATA(mint, WALLETS.SOL_VAULT, PROGRAMS.TOKEN_2022);
+
+    const createData = buildCreateInstructionData(name, ticker, metadataUri, creator, isMayhemMode);
+    const createKeys = [
+        { pubkey: mint, isSigner: true, isWritable: true },
+        { pubkey: mintAuthority, isSigner: false, isWritable: false },
+        { pubkey: bondingCurve, isSigner: false, isWritable: true },
+        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+        { pubkey: global, isSigner: false, isWritable: false },
+        { pubkey: creator, isSigner: true, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
+        { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.MAYHEM, isSigner: false, isWritable: true },
+        { pubkey: WALLETS.GLOBAL_PARAMS, isSigner: false, isWritable: false },
+        { pubkey: WALLETS.SOL_VAULT, isSigner: false, isWritable: true },
+        { pubkey: mayhemState, isSigner: false, isWritable: true },
+        { pubkey: mayhemTokenVault, isSigner: false, isWritable: true },
+        { pubkey: eventAuthority, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false }
+    ];
+    const createIx = new TransactionInstruction({ keys: createKeys, programId: PROGRAMS.PUMP, data: createData });
+
+    const feeRecipient = isMayhemMode ? WALLETS.MAYHEM_FEE : WALLETS.FEE_STANDARD;
+    const associatedUser = getATA(mint, creator, PROGRAMS.TOKEN_2022);
+    const tokenBuyAmount = calculateTokensForSol(solBuyLamports);
+    const buyData = buildBuyInstructionData(tokenBuyAmount, new BN(Math.floor(solBuyLamports * 1.05)));
+    const buyKeys = [
+        { pubkey: global, isSigner: false, isWritable: false },
+        { pubkey: feeRecipient, isSigner: false, isWritable: true },
+        { pubkey: mint, isSigner: false, isWritable: false },
+        { pubkey: bondingCurve, isSigner: false, isWritable: true },
+        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+        { pubkey: associatedUser, isSigner: false, isWritable: true },
+        { pubkey: creator, isSigner: true, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
+        { pubkey: creatorVault, isSigner: false, isWritable: true },
+        { pubkey: eventAuthority, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false },
+        { pubkey: globalVolumeAccumulator, isSigner: false, isWritable: false },
+        { pubkey: userVolumeAccumulator, isSigner: false, isWritable: true },
+        { pubkey: feeConfig, isSigner: false, isWritable: false },
+        { pubkey: PROGRAMS.FEE, isSigner: false, isWritable: false }
+    ];
+    const buyIx = new TransactionInstruction({ keys: buyKeys, programId: PROGRAMS.PUMP, data: buyData });
+
+    const createATAIx = new TransactionInstruction({
+        keys: [
+            { pubkey: creator, isSigner: true, isWritable: true },
+            { pubkey: associatedUser, isSigner: false, isWritable: true },
+            { pubkey: creator, isSigner: false, isWritable: false },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
+        ],
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        data: Buffer.alloc(0),
+    });
+
+    return { instructions: [createIx, createATAIx, buyIx], bondingCurve, associatedUser };
+}
+
 /**
  * Build claim creator fees instruction data
  */
@@ -179,11 +346,17 @@ module.exports = {
     getATA,
     getPumpPDAs,
     getPumpAmmPDAs,
+    getPumpAmmGlobalPDAs,
+    decodeAmmGlobalConfig,
+    decodeAmmPool,
+    calculateAmmBuy,
+    buildAmmBuyInstruction,
     getCreatorFeeVaults,
     calculateTokensForSol,
     serializeString,
     buildCreateInstructionData,
     buildBuyInstructionData,
     buildSellInstructionData,
+    buildLaunchInstructions,
     buildClaimFeesData,
 };
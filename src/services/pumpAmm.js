@@ -0,0 +1,195 @@
+/**
+ * Pump AMM Service
+ * Direct SOL -> token buys on a Pump AMM pool, without the Jupiter API.
+ * Same guards and result shape as jupiter.swapSolToToken.
+ */
+const { Transaction, SystemProgram, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { BN } = require('@coral-xyz/anchor');
+const {
+    getAssociatedTokenAddress, createAssociatedTokenAccountIdempotentInstruction,
+    createSyncNativeInstruction, createCloseAccountInstruction, TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const config = require('../config/env');
+const { TOKENS, PROGRAMS } = require('../config/constants');
+const logger = require('./logger');
+const pump = require('./pump');
+const solana = require('./solana');
+const ledger = require('./ledger');
+const jupiter = require('./jupiter');
+const txErrors = require('./txErrors');
+
+/**
+ * Pool state, fees and reserves for buying `mint` with SOL from the
+ * BUYBACK_PUMP_AMM_POOL pool
+ */
+async function loadPool(connection, mint) {
+    if (!config.BUYBACK_PUMP_AMM_POOL) throw new Error("BUYBACK_PUMP_AMM_POOL is not set");
+    const address = new PublicKey(config.BUYBACK_PUMP_AMM_POOL);
+    const { globalConfig } = pump.getPumpAmmGlobalPDAs();
+    const [poolInfo, configInfo] = await connection.getMultipleAccountsInfo([address, globalConfig]);
+    if (!poolInfo || !poolInfo.owner.equals(PROGRAMS.PUMP_AMM)) throw new Error(`No Pump AMM pool at ${address.toBase58()}`);
+    if (!configInfo) throw new Error("Pump AMM global config not found");
+
+    const poolState = pump.decodeAmmPool(poolInfo.data);
+    if (!poolState.baseMint.equals(mint) || !poolState.quoteMint.equals(TOKENS.WSOL)) {
+        throw new Error(`Pump AMM pool ${address.toBase58()} is not a ${mint.toBase58()}/SOL pool`);
+    }
+    const globalState = pump.decodeAmmGlobalConfig(configInfo.data);
+    if (globalState.protocolFeeRecipients.length === 0) throw new Error("Pump AMM has no protocol fee recipients");
+
+    const [base, quote] = await Promise.all([
+        connection.getTokenAccountBalance(poolState.poolBaseTokenAccount),
+        connection.getTokenAccountBalance(poolState.poolQuoteTokenAccount)
+    ]);
+    const hasCoinCreator = !poolState.coinCreator.equals(PublicKey.default);
+    return {
+        address,
+        poolState,
+        globalState,
+        baseReserve: new BN(base.value.amount),
+        quoteReserve: new BN(quote.value.amount),
+        feeBps: globalState.lpFeeBps.add(globalState.protocolFeeBps).add(hasCoinCreator ? globalState.coinCreatorFeeBps : new BN(0))
+    };
+}
+
+/**
+ * Quote a SOL -> token buy on the pool and run the guards on it (nothing is sent).
+ * Price impact comes from the pool reserves; the pool's price is also compared
+ * with a small Jupiter reference quote when Jupiter can be reached.
+ * The buy asks for exactly the quoted amount and may pay up to the slippage
+ * allowance more SOL for it: it is quoted for `amountLamports` less that
+ * allowance, so it never spends more than `amountLamports`.
+ */
+async function quoteSolToToken(amountLamports, outputMint, connection, guards = {}) {
+    const {
+        slippageBps = config.BUYBACK_SLIPPAGE_BPS,
+        maxPriceImpactPct = config.BUYBACK_MAX_PRICE_IMPACT_PCT,
+        maxPriceDeviationPct = config.BUYBACK_MAX_PRICE_DEVIATION_PCT
+    } = guards;
+    const result = jupiter.emptySwapResult();
+
+    const pool = await loadPool(connection, outputMint);
+    const maxQuoteIn = new BN(amountLamports);
+    const quoteIn = maxQuoteIn.mul(new BN(10000)).div(new BN(10000 + slippageBps));
+    const baseOut = pump.calculateAmmBuy({ quoteIn, baseReserve: pool.baseReserve, quoteReserve: pool.quoteReserve, feeBps: pool.feeBps });
+    result.quotedOut = baseOut.toString();
+    result.minOut = baseOut.toString();
+
+    // Spot price (tokens per lamport) before the trade, fees excluded from the impact
+    const spotPrice = Number(pool.baseReserve.toString()) / Number(pool.quoteReserve.toString());
+    const afterFees = quoteIn.toNumber() * 10000 / (10000 + pool.feeBps.toNumber());
+    result.priceImpactPct = (1 - Number(baseOut.toString()) / (afterFees * spotPrice)) * 100;
+
+    const referenceLamports = Math.round(config.BUYBACK_REFERENCE_QUOTE_SOL * LAMPORTS_PER_SOL);
+    const reference = await jupiter.getQuote(TOKENS.WSOL.toString(), outputMint.toString(), referenceLamports);
+    if (reference) {
+        result.deviationPct = (1 - spotPrice / (Number(reference.outAmount) / Number(reference.inAmount))) * 100;
+    }
+
+    let problem = null;
+    if (result.priceImpactPct > maxPriceImpactPct) {
+        problem = `Price impact ${result.priceImpactPct.toFixed(2)}% above the ${maxPriceImpactPct}% limit`;
+    } else if (result.deviationPct !== null && result.deviationPct > maxPriceDeviationPct) {
+        problem = `Pool price ${result.deviationPct.toFixed(2)}% below the Jupiter reference price (limit ${maxPriceDeviationPct}%)`;
+    }
+    if (problem) Object.assign(result, { aborted: true, error: problem });
+    return { quote: { pool, quoteIn, maxQuoteIn, baseOut }, result };
+}
+
+/**
+ * SOL (lamports) a confirmed buy paid into the pool and its fee accounts: the
+ * WSOL they gained. The wallet's own WSOL account is closed in the same
+ * transaction, so it isn't in the balances.
+ */
+function quoteSpent(tx, user) {
+    const wsol = TOKENS.WSOL.toBase58();
+    const owner = user.toBase58();
+    const { preTokenBalances = [], postTokenBalances = [] } = tx.meta;
+    let spent = 0n;
+    for (const post of postTokenBalances) {
+        if (post.mint !== wsol || post.owner === owner) continue;
+        const pre = preTokenBalances.find(b => b.accountIndex === post.accountIndex);
+        const delta = BigInt(post.uiTokenAmount.amount) - BigInt(pre ? pre.uiTokenAmount.amount : 0);
+        if (delta > 0n) spent += delta;
+    }
+    return Number(spent);
+}
+
+/**
+ * Buy a token with SOL on its Pump AMM pool (guards as for quoteSolToToken).
+ * Wraps the SOL into a temporary WSOL account that is closed again in the same
+ * transaction. Always returns a result (see jupiter.swapSolToToken); its
+ * slippagePct is how much more SOL than quoted the tokens cost.
+ */
+async function swapSolToToken(amountLamports, outputMint, wallet, connection, guards = {}) {
+    let result = jupiter.emptySwapResult();
+    const user = wallet.publicKey;
+
+    try {
+        const prepared = await quoteSolToToken(amountLamports, outputMint, connection, guards);
+        result = prepared.result;
+        if (result.aborted) {
+            logger.warn(`Pump AMM swap aborted: ${result.error}`, { amountLamports, quotedOut: result.quotedOut });
+            return result;
+        }
+        const { pool, quoteIn, maxQuoteIn, baseOut } = prepared.quote;
+
+        const baseTokenProgram = outputMint.equals(TOKENS.PUMP) ? PROGRAMS.TOKEN_2022 : (await connection.getAccountInfo(outputMint)).owner;
+        const userBaseAta = await getAssociatedTokenAddress(outputMint, user, false, baseTokenProgram);
+        const userWsolAta = await getAssociatedTokenAddress(TOKENS.WSOL, user, false, TOKEN_PROGRAM_ID);
+        const before = await connection.getTokenAccountBalance(userBaseAta).then(b => BigInt(b.value.amount)).catch(() => 0n);
+
+        const recipients = pool.globalState.protocolFeeRecipients;
+        const tx = new Transaction();
+        solana.addPriorityFee(tx);
+        tx.add(createAssociatedTokenAccountIdempotentInstruction(user, userBaseAta, user, outputMint, baseTokenProgram));
+        tx.add(createAssociatedTokenAccountIdempotentInstruction(user, userWsolAta, user, TOKENS.WSOL, TOKEN_PROGRAM_ID));
+        tx.add(SystemProgram.transfer({ fromPubkey: user, toPubkey: userWsolAta, lamports: amountLamports }));
+        tx.add(createSyncNativeInstruction(userWsolAta, TOKEN_PROGRAM_ID));
+        tx.add(pump.buildAmmBuyInstruction({
+            pool: pool.address,
+            poolState: pool.poolState,
+            protocolFeeRecipient: recipients[Math.floor(Math.random() * recipients.length)],
+            user,
+            baseAmountOut: baseOut,
+            maxQuoteAmountIn: maxQuoteIn,
+            baseTokenProgram
+        }));
+        // Unspent WSOL goes back to the wallet as SOL
+        tx.add(createCloseAccountInstruction(userWsolAta, user, user, [], TOKEN_PROGRAM_ID));
+
+        result.signature = await solana.sendTxWithRetry(tx, [wallet], { purpose: ledger.LEDGER_PURPOSES.BUYBACK, mint: outputMint.toString() });
+
+        const after = await connection.getTokenAccountBalance(userBaseAta).then(b => BigInt(b.value.amount)).catch(() => null);
+        if (after !== null && after > before) result.receivedOut = (after - before).toString();
+        result.outAmount = result.receivedOut || result.minOut;
+        // Until the transaction can be read, assume the most it was allowed to spend
+        result.spentLamports = amountLamports;
+        const landed = await connection.getTransaction(result.signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }).catch(() => null);
+        if (landed?.meta) {
+            result.spentLamports = quoteSpent(landed, user);
+            result.slippagePct = (result.spentLamports / quoteIn.toNumber() - 1) * 100;
+        }
+        result.success = true;
+
+        logger.info(`Pump AMM swap completed: SOL -> ${outputMint.toString().slice(0, 5)}...`, {
+            signature: result.signature, quotedOut: result.quotedOut, receivedOut: result.receivedOut,
+            spentLamports: result.spentLamports, slippagePct: result.slippagePct
+        });
+        return result;
+    } catch (e) {
+        logger.error("Pump AMM Swap Error", { error: e.message, code: e.code, signature: e.signature });
+        return {
+            ...result,
+            signature: result.signature || e.signature || null,
+            statusUnknown: e.code === txErrors.TX_ERRORS.STATUS_UNKNOWN,
+            error: e.message
+        };
+    }
+}
+
+module.exports = {
+    loadPool,
+    quoteSolToToken,
+    swapSolToToken,
+};
@@ -3,13 +3,18 @@
  * Redis connection and queue management
  */
 const IORedis = require('ioredis');
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, QueueEvents } = require('bullmq');
 const config = require('../config/env');
 const logger = require('./logger');
 
 let redisConnection = null;
 let deployQueue = null;
 let socialQueue = null;
+let devSellQueue = null;
+let deployQueueEvents = null;
+
+// Job name for user-as-creator launch tracking on the deploy queue
+const USER_DEPLOY_JOB = 'trackUserDeploy';
 
 /**
  * Initialize Redis connection and queues
@@ -23,9 +28,14 @@ function init() {
 
         deployQueue = new Queue('deployQueue', { connection: redisConnection });
         socialQueue = new Queue('socialQueue', { connection: redisConnection });
+        devSellQueue = new Queue('devSellQueue', { connection: redisConnection });
+        // QueueEvents duplicates the connection for its blocking reads
+        deployQueueEvents = new QueueEvents('deployQueue', { connection: redisConnection });
+        deployQueueEvents.setMaxListeners(0);
 
         deployQueue.resume();
         socialQueue.resume();
+        devSellQueue.resume();
 
         logger.info("Redis Queues Initialized");
         return true;
@@ -78,11 +88,25 @@ function createWorker(queueName, processor, options = {}) {
 /**
  * Add job to deploy queue
  */
-async function addDeployJob(data) {
+async function addDeployJob(data, options = {}) {
+    if (!deployQueue) {
+        throw new Error("Deploy queue not initialized");
+    }
+    return deployQueue.add('deployToken', data, options);
+}
+
+/**
+ * Add a tracking job for a user-as-creator launch (user co-signs and sends)
+ * Runs on the deploy queue so job status, SSE and admin tooling cover it
+ */
+async function addUserDeployJob(data, options = {}) {
     if (!deployQueue) {
         throw new Error("Deploy queue not initialized");
     }
-    return deployQueue.add('deployToken', data);
+    return deployQueue.add(USER_DEPLOY_JOB, data, {
+        delay: config.USER_DEPLOY_POLL_MS,
+        ...options
+    });
 }
 
 /**
@@ -99,6 +123,47 @@ async function addSocialJob(data, options = {}) {
     });
 }
 
+/**
+ * Add job to dev-buy sell queue
+ * One job per mint: re-adding while a job is waiting or active is a no-op
+ */
+async function addDevSellJob(data, options = {}) {
+    if (!devSellQueue) {
+        throw new Error("Dev sell queue not initialized");
+    }
+    return devSellQueue.add('sellDevBuy', data, {
+        jobId: `sell-${data.mint}`,
+        attempts: config.DEV_SELL_ATTEMPTS,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        removeOnFail: true,
+        ...options
+    });
+}
+
+/**
+ * Subscribe to progress/completion events for a single deploy job
+ * Returns an unsubscribe function
+ */
+function subscribeToDeployJob(jobId, { onProgress, onCompleted, onFailed }) {
+    if (!deployQueueEvents) return () => {};
+    const id = String(jobId);
+
+    const progressHandler = ({ jobId: evtId, data }) => { if (evtId === id && onProgress) onProgress(data); };
+    const completedHandler = ({ jobId: evtId, returnvalue }) => { if (evtId === id && onCompleted) onCompleted(returnvalue); };
+    const failedHandler = ({ jobId: evtId, failedReason }) => { if (evtId === id && onFailed) onFailed(failedReason); };
+
+    deployQueueEvents.on('progress', progressHandler);
+    deployQueueEvents.on('completed', completedHandler);
+    deployQueueEvents.on('failed', failedHandler);
+
+    return () => {
+        deployQueueEvents.off('progress', progressHandler);
+        deployQueueEvents.off('completed', completedHandler);
+        deployQueueEvents.off('failed', failedHandler);
+    };
+}
+
 /**
  * Get job by ID
  */
@@ -112,9 +177,15 @@ module.exports = {
     smartCache,
     createWorker,
     addDeployJob,
+    addUserDeployJob,
     addSocialJob,
+    addDevSellJob,
     getJob,
+    subscribeToDeployJob,
+    USER_DEPLOY_JOB,
     getConnection: () => redisConnection,
     getDeployQueue: () => deployQueue,
     getSocialQueue: () => socialQueue,
+    getDevSellQueue: () => devSellQueue,
+    getDeployQueueEvents: () => deployQueueEvents,
 };
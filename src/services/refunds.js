@@ -0,0 +1,123 @@
+/**
+ * Refund Service
+ * Idempotent deployment fee refunds backed by the refunds ledger
+ */
+const { PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const config = require('../config/env');
+const logger = require('./logger');
+const database = require('./database');
+const solana = require('./solana');
+const txErrors = require('./txErrors');
+const ledger = require('./ledger');
+const wallets = require('./wallets');
+
+/**
+ * Amount refunded for a failed deployment
+ * The deduction covers the network fees we paid on the user's behalf
+ */
+function getRefundLamports() {
+    return Math.round((config.DEPLOYMENT_FEE_SOL - config.REFUND_DEDUCTION_SOL) * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Send a refund that has already been claimed (status 'sending')
+ */
+async function sendRefund(refund) {
+    try {
+        // Refunds come out of the fee intake wallet, never below its floor
+        await wallets.assertSpendable(wallets.ROLES.FEE_INTAKE, refund.lamports);
+        const feeIntake = wallets.getWallet(wallets.ROLES.FEE_INTAKE);
+
+        const tx = new Transaction();
+        solana.addPriorityFee(tx);
+        tx.add(SystemProgram.transfer({
+            fromPubkey: feeIntake.publicKey,
+            toPubkey: new PublicKey(refund.userPubkey),
+            lamports: refund.lamports
+        }));
+        const sig = await solana.sendTxWithRetry(tx, [feeIntake], {
+            purpose: ledger.LEDGER_PURPOSES.REFUND,
+            userPubkey: refund.userPubkey,
+            jobId: refund.deployJobId
+        });
+        await database.completeRefund(refund.paymentSignature, sig);
+        logger.info(`REFUNDED ${refund.userPubkey}: ${sig} (Reason: ${refund.reason})`);
+        return sig;
+    } catch (e) {
+        if (e.code === txErrors.TX_ERRORS.STATUS_UNKNOWN) {
+            // It may still have landed: stay in 'sending' so nothing retries it automatically
+            logger.error(`REFUND STATUS UNKNOWN: ${e.signature}, check before retrying`, { payment: refund.paymentSignature, user: refund.userPubkey });
+            return null;
+        }
+        await database.failRefund(refund.paymentSignature, e.message);
+        logger.error(`REFUND FAILED: ${e.message}`, { payment: refund.paymentSignature, user: refund.userPubkey });
+        return null;
+    }
+}
+
+/**
+ * Refund a deployment payment. Safe to call repeatedly for the same payment:
+ * only the first call sends, later calls return the recorded signature.
+ * Returns the refund signature, or null if it failed or is already in flight.
+ */
+async function refundPayment({ paymentSignature, userPubkey, reason, deployJobId }) {
+    if (!paymentSignature) {
+        logger.error(`REFUND SKIPPED: no payment signature for ${userPubkey}`, { reason, deployJobId });
+        return null;
+    }
+
+    const refund = await database.createRefund({
+        paymentSignature,
+        userPubkey,
+        lamports: getRefundLamports(),
+        reason,
+        deployJobId
+    });
+
+    if (refund.status === 'sent') return refund.signature;
+
+    // 'cancelled' means an admin requeued the deploy, so a new failure may refund
+    const claimed = await database.claimRefund(paymentSignature, ['pending', 'cancelled']);
+    if (!claimed) {
+        logger.warn(`Refund for ${paymentSignature} already ${refund.status}, not sending again`);
+        return null;
+    }
+
+    return sendRefund(refund);
+}
+
+/**
+ * Re-send a failed refund. `force` also takes over refunds stuck in 'sending'
+ * (admin use only, after checking the wallet history).
+ */
+async function retryRefund(paymentSignature, { force = false } = {}) {
+    const refund = await database.getRefund(paymentSignature);
+    if (!refund) return { error: 'Refund not found' };
+    if (refund.status === 'sent') return { error: 'Refund already sent', signature: refund.signature };
+
+    const fromStatuses = force ? ['pending', 'failed', 'sending'] : ['pending', 'failed'];
+    const claimed = await database.claimRefund(paymentSignature, fromStatuses);
+    if (!claimed) return { error: `Refund is ${refund.status}` };
+
+    const signature = await sendRefund(refund);
+    return signature ? { signature } : { error: 'Refund transaction failed' };
+}
+
+/**
+ * Retry failed refunds that still have attempts left
+ */
+async function retryFailedRefunds() {
+    const failed = await database.listRefunds({ statuses: ['failed'], limit: 20 });
+    for (const refund of failed) {
+        if (refund.attempts >= config.REFUND_MAX_ATTEMPTS) continue;
+        logger.info(`Retrying refund for ${refund.userPubkey} (attempt ${refund.attempts + 1})`);
+        await retryRefund(refund.paymentSignature);
+    }
+}
+
+module.exports = {
+    getRefundLamports,
+    refundPayment,
+    retryRefund,
+    retryFailedRefunds,
+};
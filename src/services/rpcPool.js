@@ -0,0 +1,227 @@
+/**
+ * RPC Pool Service
+ * Several RPC endpoints behind one Connection-compatible object, with
+ * latency/error tracking, failover and per-role routing
+ */
+const { Connection } = require('@solana/web3.js');
+const config = require('../config/env');
+const logger = require('./logger');
+
+// Heavy scans go to endpoints configured for them
+const HEAVY_METHODS = new Set(['getProgramAccounts', 'getParsedProgramAccounts']);
+
+// Transaction submission and confirmation
+const SEND_METHODS = new Set([
+    'sendTransaction', 'sendRawTransaction', 'sendEncodedTransaction',
+    'simulateTransaction', 'confirmTransaction'
+]);
+
+// Long-running by design, not subject to the call timeout
+const UNTIMED_METHODS = new Set(['confirmTransaction']);
+
+// Errors that say the endpoint is at fault rather than the request
+const ENDPOINT_ERROR_PATTERNS = [
+    /fetch failed/i,
+    /socket hang up/i,
+    /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND/,
+    /\b429\b|Too Many Requests/i,
+    /\b50[0234]\b/,
+    /RPC timeout/,
+    /Node is behind|node is unhealthy/i,
+];
+
+// EMA weight for latency and error rate
+const SMOOTHING = 0.2;
+
+// Assumed latency for endpoints with no samples yet
+const DEFAULT_LATENCY_MS = 500;
+
+/**
+ * Short display name that never includes API keys
+ */
+function endpointName(url, index) {
+    try {
+        return `${index}:${new URL(url).host}`;
+    } catch (e) {
+        return `${index}:invalid`;
+    }
+}
+
+function createEndpoint(url, index) {
+    return {
+        name: endpointName(url, index),
+        url,
+        connection: new Connection(url, 'confirmed'),
+        roles: new Set(),
+        latency: null,
+        errorRate: 0,
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastErrorAt: null
+    };
+}
+
+// Build endpoints: RPC_URL is always first and serves every role
+const endpoints = [];
+function addEndpoint(url, role) {
+    let endpoint = endpoints.find(e => e.url === url);
+    if (!endpoint) {
+        endpoint = createEndpoint(url, endpoints.length);
+        endpoints.push(endpoint);
+    }
+    endpoint.roles.add(role);
+}
+
+const generalUrls = [config.RPC_URL, ...config.RPC_URLS];
+generalUrls.forEach(url => addEndpoint(url, 'general'));
+(config.RPC_HEAVY_URLS.length ? config.RPC_HEAVY_URLS : generalUrls).forEach(url => addEndpoint(url, 'heavy'));
+(config.RPC_SEND_URLS.length ? config.RPC_SEND_URLS : generalUrls).forEach(url => addEndpoint(url, 'send'));
+
+function roleFor(method) {
+    if (HEAVY_METHODS.has(method)) return 'heavy';
+    if (SEND_METHODS.has(method)) return 'send';
+    return 'general';
+}
+
+/**
+ * Lower is better: smoothed latency, penalised by the recent error rate
+ */
+function score(endpoint) {
+    return (endpoint.latency ?? DEFAULT_LATENCY_MS) * (1 + 10 * endpoint.errorRate);
+}
+
+/**
+ * Endpoints for a role, healthy ones first, each group ordered by score
+ */
+function candidates(role) {
+    const now = Date.now();
+    const forRole = endpoints.filter(e => e.roles.has(role));
+    const byScore = (a, b) => score(a) - score(b);
+    const healthy = forRole.filter(e => e.cooldownUntil <= now).sort(byScore);
+    const cooling = forRole.filter(e => e.cooldownUntil > now).sort(byScore);
+    return [...healthy, ...cooling];
+}
+
+function recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.latency = endpoint.latency === null ? latency : endpoint.latency * (1 - SMOOTHING) + latency * SMOOTHING;
+    endpoint.errorRate *= (1 - SMOOTHING);
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+}
+
+function recordFailure(endpoint, err) {
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - SMOOTHING) + SMOOTHING;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = err.message;
+    endpoint.lastErrorAt = Date.now();
+    if (endpoint.consecutiveFailures >= config.RPC_FAILURE_THRESHOLD && endpoint.cooldownUntil <= Date.now()) {
+        endpoint.cooldownUntil = Date.now() + config.RPC_COOLDOWN_MS;
+        logger.warn(`RPC ${endpoint.name} marked unhealthy`, { error: err.message, cooldownMs: config.RPC_COOLDOWN_MS });
+    }
+}
+
+function isEndpointError(err) {
+    return ENDPOINT_ERROR_PATTERNS.some(p => p.test(err?.message || ''));
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`RPC timeout after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a Connection method on the best endpoint for its role, failing over
+ * to the next one when the endpoint (not the request) is at fault
+ */
+async function call(method, args) {
+    const role = roleFor(method);
+    const timeoutMs = role === 'heavy' ? config.RPC_HEAVY_TIMEOUT_MS : config.RPC_TIMEOUT_MS;
+    let lastError;
+
+    for (const endpoint of candidates(role)) {
+        const start = Date.now();
+        try {
+            const pending = endpoint.connection[method](...args);
+            const result = UNTIMED_METHODS.has(method) ? await pending : await withTimeout(pending, timeoutMs);
+            recordSuccess(endpoint, Date.now() - start);
+            return result;
+        } catch (err) {
+            if (!isEndpointError(err)) {
+                // The endpoint answered, the request itself failed
+                recordSuccess(endpoint, Date.now() - start);
+                throw err;
+            }
+            recordFailure(endpoint, err);
+            lastError = err;
+            logger.debug(`RPC ${endpoint.name} failed ${method}, trying next`, { error: err.message });
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Connection-compatible proxy: methods are routed through the pool,
+ * plain properties (commitment, rpcEndpoint) come from the primary endpoint
+ */
+const connection = new Proxy(endpoints[0].connection, {
+    get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function' || typeof prop !== 'string' || prop.startsWith('_')) return value;
+        // Subscriptions (onLogs, removeAccountChangeListener, ...) must stay on one websocket
+        if (/^(on|remove)[A-Z]/.test(prop)) return value.bind(target);
+        return (...args) => call(prop, args);
+    }
+});
+
+/**
+ * Probe every endpoint once (records latency/health).
+ * Returns the number of endpoints that answered.
+ */
+async function probeAll() {
+    const results = await Promise.all(endpoints.map(async (endpoint) => {
+        const start = Date.now();
+        try {
+            await withTimeout(endpoint.connection.getLatestBlockhash('finalized'), config.RPC_TIMEOUT_MS);
+            recordSuccess(endpoint, Date.now() - start);
+            return true;
+        } catch (err) {
+            recordFailure(endpoint, err);
+            return false;
+        }
+    }));
+    return results.filter(Boolean).length;
+}
+
+/**
+ * Pool state for status endpoints
+ */
+function getStatus() {
+    const now = Date.now();
+    return endpoints.map(e => ({
+        name: e.name,
+        roles: [...e.roles],
+        status: e.cooldownUntil > now ? 'unhealthy' : (e.consecutiveFailures > 0 || e.errorRate > 0.5 ? 'degraded' : 'online'),
+        latency: e.latency === null ? null : Math.round(e.latency),
+        errorRate: Number(e.errorRate.toFixed(3)),
+        requests: e.requests,
+        failures: e.failures,
+        lastError: e.lastError,
+        lastErrorAt: e.lastErrorAt
+    }));
+}
+
+module.exports = {
+    connection,
+    call,
+    probeAll,
+    getStatus,
+};
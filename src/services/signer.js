@@ -0,0 +1,233 @@
+/**
+ * Signer Service
+ * Wallet signer backends: env key, encrypted keystore file or remote HTTP signer.
+ * A signer is { type, publicKey, sign(messageBytes) -> Promise<Uint8Array> }; the
+ * helpers below sign transactions with any mix of signers and plain Keypairs.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const bs58 = require('bs58');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const config = require('../config/env');
+const logger = require('./logger');
+
+const SIGNER_TYPES = ['env', 'keystore', 'remote'];
+
+// scrypt cost for new keystores (~64MB of memory)
+const KEYSTORE_SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Node KeyObject for an ed25519 public key
+ */
+function publicKeyObject(publicKey) {
+    return crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: publicKey.toBuffer().toString('base64url') },
+        format: 'jwk'
+    });
+}
+
+/**
+ * In-process signer from a 64-byte Solana secret key
+ */
+function createKeySigner(type, secretKey) {
+    const publicKey = Keypair.fromSecretKey(secretKey).publicKey;
+    const privateKey = crypto.createPrivateKey({
+        key: {
+            kty: 'OKP',
+            crv: 'Ed25519',
+            d: Buffer.from(secretKey.slice(0, 32)).toString('base64url'),
+            x: publicKey.toBuffer().toString('base64url')
+        },
+        format: 'jwk'
+    });
+    return {
+        type,
+        publicKey,
+        sign: async (message) => new Uint8Array(crypto.sign(null, Buffer.from(message), privateKey))
+    };
+}
+
+/**
+ * Signer settings of the dev wallet (DEV_* variables). Role wallets use the
+ * same shape, see roleSignerConfig in config/env.js.
+ */
+function devSignerConfig() {
+    return {
+        signer: config.DEV_SIGNER,
+        privateKey: config.DEV_WALLET_PRIVATE_KEY,
+        publicKey: config.DEV_WALLET_PUBLIC_KEY,
+        keystorePath: config.DEV_KEYSTORE_PATH,
+        keystorePassphrase: config.DEV_KEYSTORE_PASSPHRASE,
+        remoteUrl: config.REMOTE_SIGNER_URL,
+        remoteToken: config.REMOTE_SIGNER_TOKEN
+    };
+}
+
+function createEnvSigner(source) {
+    return createKeySigner('env', bs58.decode(source.privateKey));
+}
+
+function keystoreKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Encrypt a secret key into keystore JSON (scrypt + AES-256-GCM)
+ */
+function encryptKeystore(secretKey, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = keystoreKey(passphrase, salt, KEYSTORE_SCRYPT);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+    return {
+        version: 1,
+        publicKey: Keypair.fromSecretKey(secretKey).publicKey.toBase58(),
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KEYSTORE_SCRYPT },
+        cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+/**
+ * Decrypt keystore JSON back into the secret key
+ */
+function decryptKeystore(keystore, passphrase) {
+    if (keystore.version !== 1 || keystore.kdf?.name !== 'scrypt' || keystore.cipher?.name !== 'aes-256-gcm') {
+        throw new Error('Unsupported keystore format');
+    }
+    const key = keystoreKey(passphrase, Buffer.from(keystore.kdf.salt, 'base64'), keystore.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.cipher.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'base64'));
+    let secretKey;
+    try {
+        secretKey = new Uint8Array(Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]));
+    } catch (e) {
+        throw new Error('Wrong keystore passphrase');
+    }
+    if (Keypair.fromSecretKey(secretKey).publicKey.toBase58() !== keystore.publicKey) {
+        throw new Error('Keystore public key mismatch');
+    }
+    return secretKey;
+}
+
+/**
+ * Read the keystore passphrase from the environment or, on a terminal, prompt for it
+ */
+async function readPassphrase(source, label) {
+    if (source.keystorePassphrase) return source.keystorePassphrase;
+    if (!process.stdin.isTTY) throw new Error(`No keystore passphrase for the ${label} wallet and no terminal to prompt on`);
+
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Don't echo the passphrase
+    rl._writeToOutput = () => {};
+    process.stdout.write(`Keystore passphrase (${label} wallet): `);
+    const answer = await new Promise(resolve => rl.question('', resolve));
+    rl.close();
+    process.stdout.write('\n');
+    return answer;
+}
+
+async function createKeystoreSigner(source, label) {
+    const keystore = JSON.parse(fs.readFileSync(source.keystorePath, 'utf8'));
+    const secretKey = decryptKeystore(keystore, await readPassphrase(source, label));
+    const signer = createKeySigner('keystore', secretKey);
+    secretKey.fill(0);
+    return signer;
+}
+
+/**
+ * Signer that asks a separate process to sign, so the key never enters this one.
+ * Protocol: GET /public-key -> { publicKey }, POST /sign { message: base64 } -> { signature: base64 }
+ */
+async function createRemoteSigner(source, label) {
+    const http = axios.create({
+        baseURL: source.remoteUrl,
+        timeout: config.REMOTE_SIGNER_TIMEOUT_MS,
+        headers: source.remoteToken ? { Authorization: `Bearer ${source.remoteToken}` } : {}
+    });
+
+    const { data } = await http.get('/public-key');
+    const publicKey = new PublicKey(data.publicKey);
+    if (source.publicKey && publicKey.toBase58() !== source.publicKey) {
+        throw new Error(`Remote signer key ${publicKey.toBase58()} does not match the configured ${label} wallet public key`);
+    }
+    const verifyKey = publicKeyObject(publicKey);
+
+    return {
+        type: 'remote',
+        publicKey,
+        sign: async (message) => {
+            const { data: result } = await http.post('/sign', { message: Buffer.from(message).toString('base64') });
+            const signature = Buffer.from(result.signature || '', 'base64');
+            if (signature.length !== 64 || !crypto.verify(null, Buffer.from(message), verifyKey, signature)) {
+                throw new Error('Remote signer returned an invalid signature');
+            }
+            return new Uint8Array(signature);
+        }
+    };
+}
+
+// Setting each backend cannot do without
+const REQUIRED_SETTINGS = { env: 'privateKey', keystore: 'keystorePath', remote: 'remoteUrl' };
+
+/**
+ * Create a signer from signer settings (defaults to the dev wallet's DEV_* settings)
+ */
+async function createSigner(source = devSignerConfig(), label = 'dev') {
+    if (!SIGNER_TYPES.includes(source.signer)) {
+        throw new Error(`Unknown signer '${source.signer}' for the ${label} wallet, use one of: ${SIGNER_TYPES.join(', ')}`);
+    }
+    if (!source[REQUIRED_SETTINGS[source.signer]]) {
+        throw new Error(`The ${label} wallet uses the ${source.signer} signer but has no ${REQUIRED_SETTINGS[source.signer]} configured`);
+    }
+    let signer;
+    if (source.signer === 'keystore') signer = await createKeystoreSigner(source, label);
+    else if (source.signer === 'remote') signer = await createRemoteSigner(source, label);
+    else signer = createEnvSigner(source);
+
+    logger.info(`Signer (${label}): ${signer.type} (${signer.publicKey.toBase58()})`);
+    return signer;
+}
+
+// Plain Keypairs (e.g. mint keypairs) are signed locally
+const isKeypair = (s) => !!s.secretKey;
+
+/**
+ * Sign a legacy Transaction with Keypairs and/or signers.
+ * recentBlockhash and feePayer must already be set.
+ */
+async function signTransaction(tx, signers) {
+    const keypairs = signers.filter(isKeypair);
+    if (keypairs.length > 0) tx.partialSign(...keypairs);
+    const message = tx.serializeMessage();
+    for (const signer of signers.filter(s => !isKeypair(s))) {
+        tx.addSignature(signer.publicKey, Buffer.from(await signer.sign(message)));
+    }
+    return tx;
+}
+
+/**
+ * Sign a VersionedTransaction with Keypairs and/or signers
+ */
+async function signVersionedTransaction(tx, signers) {
+    const keypairs = signers.filter(isKeypair);
+    if (keypairs.length > 0) tx.sign(keypairs);
+    const message = tx.message.serialize();
+    for (const signer of signers.filter(s => !isKeypair(s))) {
+        tx.addSignature(signer.publicKey, await signer.sign(message));
+    }
+    return tx;
+}
+
+module.exports = {
+    SIGNER_TYPES,
+    createSigner,
+    createKeySigner,
+    encryptKeystore,
+    decryptKeystore,
+    signTransaction,
+    signVersionedTransaction,
+};
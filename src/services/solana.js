@@ -2,78 +2,191 @@
  * Solana Service
  * Connection, transaction helpers, and wallet management
  */
-const { Connection, Keypair, ComputeBudgetProgram, sendAndConfirmTransaction, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { Wallet } = require('@coral-xyz/anchor');
+const { PublicKey } = require('@solana/web3.js');
 const bs58 = require('bs58');
+const crypto = require('crypto');
 const config = require('../config/env');
 const logger = require('./logger');
+const txErrors = require('./txErrors');
+const fees = require('./fees');
+const rpcPool = require('./rpcPool');
+const ledger = require('./ledger');
+const signer = require('./signer');
 
-// Initialize connection
-const connection = new Connection(config.RPC_URL, "confirmed");
+// Pooled connection shared by the whole app
+const connection = rpcPool.connection;
 
-// Initialize dev wallet
-let devKeypair = null;
-let wallet = null;
+// Dev wallet signer (set up by initDevSigner at startup)
+let devSigner = null;
 
-if (config.DEV_WALLET_PRIVATE_KEY) {
+/**
+ * Create the dev wallet signer from the configured backend
+ */
+async function initDevSigner() {
+    devSigner = await signer.createSigner();
+    return devSigner;
+}
+
+function getDevSigner() {
+    if (!devSigner) throw new Error('Dev signer not initialized');
+    return devSigner;
+}
+
+/**
+ * Add default priority fee instructions to a transaction
+ * (sendTxWithRetry re-prices and re-sizes them before sending)
+ */
+function addPriorityFee(tx) {
+    return fees.setComputeBudget(tx, { microLamports: config.PRIORITY_FEE_MICRO_LAMPORTS, units: config.COMPUTE_UNIT_FALLBACK });
+}
+
+// Outcomes of a single signed transaction
+const TX_STATUS = {
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+};
+
+/**
+ * Fetch the program logs of a landed transaction (best effort)
+ */
+async function getTxLogs(signature) {
     try {
-        devKeypair = Keypair.fromSecretKey(bs58.decode(config.DEV_WALLET_PRIVATE_KEY));
-        wallet = new Wallet(devKeypair);
-        logger.info(`RPC: ${config.HELIUS_API_KEY ? 'Helius' : 'Public'}`);
+        const tx = await connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+        return tx?.meta?.logMessages || [];
     } catch (e) {
-        logger.error('Failed to initialize dev wallet', { error: e.message });
+        return [];
     }
 }
 
 /**
- * Add priority fee instructions to a transaction
+ * Outcome of a signature status, or null while it is still pending
  */
-function addPriorityFee(tx) {
-    tx.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: config.PRIORITY_FEE_MICRO_LAMPORTS }));
-    tx.add(ComputeBudgetProgram.setComputeUnitLimit({ units: 300000 }));
-    return tx;
+async function resolveStatus(signature, status) {
+    if (!status || status.confirmationStatus === 'processed') return null;
+    if (status.err) {
+        return { status: TX_STATUS.FAILED, signature, error: txErrors.decodeTransactionError(status.err, await getTxLogs(signature)) };
+    }
+    return { status: TX_STATUS.CONFIRMED, signature };
 }
 
 /**
- * Send transaction with retry logic
+ * Rebroadcast a signed transaction until it confirms, fails on-chain or its
+ * blockhash expires. Expiry is only reported after a final status lookup,
+ * so an 'expired' transaction can never land later.
  */
-async function sendTxWithRetry(tx, signers, retries = 5) {
+async function confirmSignature(signature, rawTx, lastValidBlockHeight) {
+    let statusErrors = 0;
+    for (;;) {
+        try {
+            await connection.sendRawTransaction(rawTx, { skipPreflight: true, maxRetries: 0 });
+        } catch (e) {
+            logger.debug('Rebroadcast failed', { signature, error: e.message });
+        }
+        await new Promise(r => setTimeout(r, config.TX_REBROADCAST_INTERVAL_MS));
+
+        try {
+            const { value: [status] } = await connection.getSignatureStatuses([signature]);
+            const result = await resolveStatus(signature, status);
+            if (result) return result;
+
+            const blockHeight = await connection.getBlockHeight('confirmed');
+            if (blockHeight > lastValidBlockHeight) {
+                const { value: [final] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+                if (final?.confirmationStatus === 'processed') continue;
+                return (await resolveStatus(signature, final)) || { status: TX_STATUS.EXPIRED, signature };
+            }
+            statusErrors = 0;
+        } catch (e) {
+            if (++statusErrors >= config.TX_STATUS_MAX_ERRORS) {
+                const err = new Error(`Could not determine status of ${signature}: ${e.message}`);
+                err.code = txErrors.TX_ERRORS.STATUS_UNKNOWN;
+                err.retryable = false;
+                err.signature = signature;
+                err.logs = [];
+                throw err;
+            }
+        }
+    }
+}
+
+/**
+ * Sign a transaction once and see it through to a final outcome.
+ * Returns { status: 'confirmed' | 'failed' | 'expired', signature, error }.
+ * Throws if it cannot be sent at all (simulation failure, RPC down) or if its
+ * status cannot be determined (error code TX_STATUS_UNKNOWN, with `signature`).
+ * `meta` ({ purpose, mint, userPubkey, jobId }) is stored in the transaction ledger.
+ */
+async function sendTx(tx, signers, meta = {}) {
+    if (!tx.feePayer) tx.feePayer = signers[0].publicKey;
+    await fees.applyComputeBudget(connection, tx);
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    tx.recentBlockhash = blockhash;
+    tx.lastValidBlockHeight = lastValidBlockHeight;
+    await signer.signTransaction(tx, signers);
+    const signature = bs58.encode(tx.signature);
+    const wallet = tx.feePayer.toBase58();
+
+    await ledger.recordSent(signature, wallet, meta);
+    try {
+        const result = await confirmSignature(signature, tx.serialize(), lastValidBlockHeight);
+        await ledger.recordResult(signature, wallet, result.status, result.error?.message);
+        return result;
+    } catch (err) {
+        await ledger.recordResult(signature, wallet, 'unknown', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Send transaction with retry logic.
+ * Every attempt is priced from recent fees and simulated first to size the
+ * compute limit. Deterministic failures (bad accounts, insufficient funds,
+ * program errors) throw immediately, only transient ones (expired blockhash,
+ * RPC trouble, slippage) are retried. A new signature is only made once the
+ * previous one has expired or failed, so a retry can never land twice.
+ * Options: `retries` plus the ledger fields accepted by sendTx.
+ */
+async function sendTxWithRetry(tx, signers, { retries = 5, ...meta } = {}) {
     for (let i = 0; i < retries; i++) {
+        let decoded;
         try {
-            const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('finalized');
-            tx.recentBlockhash = blockhash;
-            tx.lastValidBlockHeight = lastValidBlockHeight;
-            const sig = await sendAndConfirmTransaction(connection, tx, signers, {
-                commitment: 'confirmed',
-                skipPreflight: true
-            });
-            return sig;
+            const result = await sendTx(tx, signers, meta);
+            if (result.status === TX_STATUS.CONFIRMED) return result.signature;
+            if (result.status === TX_STATUS.EXPIRED) {
+                decoded = txErrors.decodeTransactionError('BlockhashNotFound');
+                decoded.message = `Transaction ${result.signature} expired before confirming`;
+            } else {
+                decoded = result.error;
+                // Simulation passed, so the state changed under us: re-simulate before giving up
+                decoded.retryable = true;
+            }
+            decoded.signature = result.signature;
         } catch (err) {
-            if (i === retries - 1) throw err;
-            await new Promise(r => setTimeout(r, 2000));
+            decoded = txErrors.decodeSendError(err);
+        }
+
+        if (!decoded.retryable || i === retries - 1) {
+            logger.error(`Transaction failed: ${decoded.message}`, { code: decoded.code, signature: decoded.signature, attempt: i + 1, logs: decoded.logs.slice(-10) });
+            throw decoded;
         }
+        logger.warn(`Transaction attempt ${i + 1} failed, retrying: ${decoded.message}`, { code: decoded.code });
+        await new Promise(r => setTimeout(r, 2000));
     }
 }
 
 /**
- * Refund user on error
+ * Verify a wallet's ed25519 signature over a UTF-8 message (signMessage output)
  */
-async function refundUser(userPubkeyStr, reason) {
+function verifyWalletSignature(pubkey, message, signatureBase58) {
     try {
-        const userPubkey = new PublicKey(userPubkeyStr);
-        const refundAmount = config.DEPLOYMENT_FEE_SOL * LAMPORTS_PER_SOL;
-        const tx = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: devKeypair.publicKey,
-                toPubkey: userPubkey,
-                lamports: refundAmount
-            })
-        );
-        addPriorityFee(tx);
-        await sendTxWithRetry(tx, [devKeypair]);
-        logger.info(`Refunded ${config.DEPLOYMENT_FEE_SOL} SOL to ${userPubkeyStr}`, { reason });
+        const publicKey = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: new PublicKey(pubkey).toBuffer().toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, Buffer.from(bs58.decode(signatureBase58)));
     } catch (e) {
-        logger.error('Refund failed', { error: e.message, user: userPubkeyStr });
+        return false;
     }
 }
 
@@ -93,11 +206,14 @@ async function getLatestBlockhash() {
 
 module.exports = {
     connection,
-    devKeypair,
-    wallet,
+    initDevSigner,
+    getDevSigner,
+    TX_STATUS,
     addPriorityFee,
+    confirmSignature,
+    sendTx,
     sendTxWithRetry,
-    refundUser,
+    verifyWalletSignature,
     getBalance,
     getLatestBlockhash,
 };
@@ -0,0 +1,155 @@
+/**
+ * Transaction Error Decoding
+ * Turns simulation and send failures into structured, classified errors
+ */
+
+// Error codes attached to thrown transaction errors
+const TX_ERRORS = {
+    PROGRAM_ERROR: 'TX_PROGRAM_ERROR',
+    INSUFFICIENT_FUNDS: 'TX_INSUFFICIENT_FUNDS',
+    ACCOUNT_NOT_FOUND: 'TX_ACCOUNT_NOT_FOUND',
+    SLIPPAGE: 'TX_SLIPPAGE',
+    BLOCKHASH_EXPIRED: 'TX_BLOCKHASH_EXPIRED',
+    RPC_ERROR: 'TX_RPC_ERROR',
+    // Sent, but whether it landed could not be determined
+    STATUS_UNKNOWN: 'TX_STATUS_UNKNOWN',
+    UNKNOWN: 'TX_UNKNOWN',
+};
+
+// Pump bonding curve program custom errors (Anchor, offset 6000)
+const PUMP_ERROR_NAMES = {
+    6000: 'NotAuthorized',
+    6001: 'AlreadyInitialized',
+    6002: 'TooMuchSolRequired',
+    6003: 'TooLittleSolReceived',
+    6004: 'MintDoesNotMatchBondingCurve',
+    6005: 'BondingCurveComplete',
+    6006: 'BondingCurveNotComplete',
+    6007: 'NotInitialized',
+    6017: 'DisabledWithdraw',
+    6018: 'DisabledMigrate',
+    6019: 'InvalidCreator',
+    6020: 'BuyZeroAmount',
+    6021: 'NotEnoughTokensToBuy',
+    6022: 'SellZeroAmount',
+    6023: 'NotEnoughTokensToSell',
+    6024: 'Overflow',
+};
+
+// Common Anchor framework errors seen when an account list is wrong
+const ANCHOR_ERROR_NAMES = {
+    2003: 'ConstraintRaw',
+    2006: 'ConstraintSeeds',
+    2012: 'ConstraintAddress',
+    3007: 'AccountOwnedByWrongProgram',
+    3012: 'AccountNotInitialized',
+};
+
+// Custom errors that depend on price movement, so a fresh attempt may pass
+const SLIPPAGE_ERRORS = new Set([6002, 6003]);
+
+// Send/confirm failures worth another attempt
+const TRANSIENT_PATTERNS = [
+    /blockhash not found/i,
+    /block height exceeded/i,
+    /has expired/i,
+    /was not confirmed/i,
+    /timed? ?out/i,
+    /fetch failed/i,
+    /socket hang up/i,
+    /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN/,
+    /\b429\b|Too Many Requests/i,
+    /\b50[234]\b/,
+];
+
+/**
+ * Pull "Program log: AnchorError ..." details out of program logs
+ */
+function findAnchorError(logs = []) {
+    for (const line of logs) {
+        const match = /Error Code: (\w+)\. Error Number: (\d+)\. Error Message: (.*)$/.exec(line);
+        if (match) return { name: match[1], number: Number(match[2]), message: match[3].replace(/\.$/, '') };
+    }
+    return null;
+}
+
+/**
+ * Build an Error carrying the decoded fields
+ */
+function txError(message, { code, retryable, instructionIndex = null, programError = null, logs = [] }) {
+    const err = new Error(message);
+    err.code = code;
+    err.retryable = retryable;
+    err.instructionIndex = instructionIndex;
+    err.programError = programError;
+    err.logs = logs;
+    return err;
+}
+
+/**
+ * Decode a transaction error (the `err` field of a simulation or status)
+ * into a structured error. Only blockhash expiry and slippage are retryable:
+ * everything else will fail the same way on the next attempt.
+ */
+function decodeTransactionError(txErr, logs = []) {
+    if (txErr === 'BlockhashNotFound') {
+        return txError('Blockhash not found', { code: TX_ERRORS.BLOCKHASH_EXPIRED, retryable: true, logs });
+    }
+    if (txErr === 'AccountNotFound' || txErr === 'ProgramAccountNotFound') {
+        return txError('Fee payer or program account not found', { code: TX_ERRORS.ACCOUNT_NOT_FOUND, retryable: false, logs });
+    }
+    if (txErr === 'InsufficientFundsForFee' || txErr?.InsufficientFundsForRent) {
+        return txError('Insufficient SOL for fees or rent', { code: TX_ERRORS.INSUFFICIENT_FUNDS, retryable: false, logs });
+    }
+
+    const instructionError = txErr?.InstructionError;
+    if (!instructionError) {
+        return txError(`Transaction failed: ${JSON.stringify(txErr)}`, { code: TX_ERRORS.UNKNOWN, retryable: false, logs });
+    }
+
+    const [instructionIndex, detail] = instructionError;
+    const base = { instructionIndex, logs };
+
+    if (logs.some(l => /insufficient lamports|insufficient funds/i.test(l)) || detail === 'InsufficientFunds') {
+        return txError(`Insufficient funds (instruction ${instructionIndex})`, { ...base, code: TX_ERRORS.INSUFFICIENT_FUNDS, retryable: false });
+    }
+    if (detail === 'AccountNotFound' || detail === 'UninitializedAccount' || detail === 'InvalidAccountData') {
+        return txError(`Account error ${detail} (instruction ${instructionIndex})`, { ...base, code: TX_ERRORS.ACCOUNT_NOT_FOUND, retryable: false });
+    }
+
+    if (detail && typeof detail === 'object' && 'Custom' in detail) {
+        const number = detail.Custom;
+        const anchor = findAnchorError(logs);
+        const name = anchor?.name || PUMP_ERROR_NAMES[number] || ANCHOR_ERROR_NAMES[number] || `Custom(${number})`;
+        const programError = { number, name, message: anchor?.message || null };
+        if (SLIPPAGE_ERRORS.has(number)) {
+            return txError(`Slippage exceeded: ${name} (instruction ${instructionIndex})`, { ...base, programError, code: TX_ERRORS.SLIPPAGE, retryable: true });
+        }
+        const suffix = programError.message ? `: ${programError.message}` : '';
+        return txError(`Program error ${number} ${name}${suffix} (instruction ${instructionIndex})`, { ...base, programError, code: TX_ERRORS.PROGRAM_ERROR, retryable: false });
+    }
+
+    return txError(`Instruction ${instructionIndex} failed: ${JSON.stringify(detail)}`, { ...base, code: TX_ERRORS.PROGRAM_ERROR, retryable: false });
+}
+
+/**
+ * Classify an error thrown while sending or confirming.
+ * Errors already decoded pass through; RPC errors are retryable. On-chain
+ * failures come back as a confirmSignature result, not an error.
+ */
+function decodeSendError(err) {
+    if (err.code && Object.values(TX_ERRORS).includes(err.code)) return err;
+
+    const retryable = TRANSIENT_PATTERNS.some(p => p.test(err.message || ''));
+    const code = /blockhash|block height|expired/i.test(err.message || '') ? TX_ERRORS.BLOCKHASH_EXPIRED : TX_ERRORS.RPC_ERROR;
+    const decoded = txError(err.message, { code, retryable, logs: err.logs || [] });
+    decoded.cause = err;
+    return decoded;
+}
+
+module.exports = {
+    TX_ERRORS,
+    PUMP_ERROR_NAMES,
+    decodeTransactionError,
+    decodeSendError,
+};
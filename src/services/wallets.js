@@ -0,0 +1,222 @@
+/**
+ * Wallet Roles Service
+ * Separate hot wallets for deploying, fee intake, buyback treasury and airdrops.
+ * Each role has its own minimum-balance guard; funds only move between roles
+ * through the explicit transfers below.
+ */
+const { Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+    getAssociatedTokenAddress, createAssociatedTokenAccountIdempotentInstruction, createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const config = require('../config/env');
+const logger = require('./logger');
+const solana = require('./solana');
+const signer = require('./signer');
+const ledger = require('./ledger');
+
+const ROLES = {
+    DEPLOYER: 'deployer',
+    FEE_INTAKE: 'feeIntake',
+    TREASURY: 'treasury',
+    AIRDROP: 'airdrop',
+};
+
+// Signer settings and minimum-balance config key per role (the deployer is the dev wallet)
+const ROLE_SETTINGS = {
+    [ROLES.DEPLOYER]: { signer: null, minBalance: 'DEPLOYER_MIN_BALANCE_SOL' },
+    [ROLES.FEE_INTAKE]: { signer: 'FEE_INTAKE_WALLET', minBalance: 'FEE_INTAKE_MIN_BALANCE_SOL' },
+    [ROLES.TREASURY]: { signer: 'TREASURY_WALLET', minBalance: 'TREASURY_MIN_BALANCE_SOL' },
+    [ROLES.AIRDROP]: { signer: 'AIRDROP_WALLET', minBalance: 'AIRDROP_MIN_BALANCE_SOL' },
+};
+
+// Kept back from a transfer so the sender can still pay its own network fee
+const TRANSFER_FEE_MARGIN_LAMPORTS = 10000;
+
+// Signer per role (set up by initWallets at startup)
+const roleWallets = new Map();
+
+/**
+ * Create the dev signer and a signer for every role; roles without their own
+ * configuration share the dev wallet
+ */
+async function initWallets() {
+    const devSigner = await solana.initDevSigner();
+    for (const role of Object.values(ROLES)) {
+        const source = ROLE_SETTINGS[role].signer && config[ROLE_SETTINGS[role].signer];
+        roleWallets.set(role, source ? await signer.createSigner(source, role) : devSigner);
+        logger.info(`Wallet ${role}: ${roleWallets.get(role).publicKey.toBase58()}`);
+    }
+    return getWallet(ROLES.DEPLOYER);
+}
+
+function getWallet(role) {
+    const wallet = roleWallets.get(role);
+    if (!wallet) throw new Error(`Wallet for role '${role}' not initialized`);
+    return wallet;
+}
+
+/**
+ * Whether two roles are served by the same wallet
+ */
+function sameWallet(a, b) {
+    return getWallet(a).publicKey.equals(getWallet(b).publicKey);
+}
+
+/**
+ * Whether a pubkey is one of our role wallets (excluded from holder points)
+ */
+function isRoleWallet(pubkey) {
+    const address = pubkey.toString();
+    return [...roleWallets.values()].some(w => w.publicKey.toBase58() === address);
+}
+
+function getMinBalance(role) {
+    return Math.round(config[ROLE_SETTINGS[role].minBalance] * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Dry-run plan: transfers are recorded in `actions` instead of being sent,
+ * and `deltas` projects the balance changes so later steps of a preview see
+ * the funds earlier steps would have moved
+ */
+function createPlan() {
+    return { dryRun: true, actions: [], deltas: new Map() };
+}
+
+/**
+ * Record a projected SOL balance change for a role in a plan
+ */
+function projectBalance(plan, role, lamports) {
+    const address = getWallet(role).publicKey.toBase58();
+    plan.deltas.set(address, (plan.deltas.get(address) || 0) + lamports);
+}
+
+/**
+ * SOL balance of a role's wallet (lamports), projected when a plan is given
+ */
+async function getBalance(role, plan = null) {
+    const address = getWallet(role).publicKey.toBase58();
+    const balance = await solana.getBalance(address);
+    return balance + (plan?.deltas.get(address) || 0);
+}
+
+/**
+ * Balance of a role's wallet and how much of it may be spent (lamports)
+ */
+async function getSpendable(role, plan = null) {
+    const balance = await getBalance(role, plan);
+    const minBalance = getMinBalance(role);
+    return { balance, minBalance, spendable: Math.max(0, balance - minBalance) };
+}
+
+/**
+ * Minimum-balance guard: throw unless the role can spend `lamports` and stay above its floor
+ */
+async function assertSpendable(role, lamports = 0) {
+    const { balance, minBalance, spendable } = await getSpendable(role);
+    if (spendable < lamports) {
+        throw new Error(`${role} wallet balance too low: has ${(balance / LAMPORTS_PER_SOL).toFixed(4)} SOL, needs ${((lamports + minBalance) / LAMPORTS_PER_SOL).toFixed(4)} SOL`);
+    }
+}
+
+/**
+ * Move up to `lamports` SOL from one role to another, never taking the sender
+ * below its floor. No-op when both roles share a wallet or the amount is dust.
+ * With a plan the transfer is only recorded. Returns the lamports moved.
+ */
+async function transferSol(fromRole, toRole, lamports, plan = null) {
+    if (sameWallet(fromRole, toRole)) return 0;
+
+    const { spendable } = await getSpendable(fromRole, plan);
+    const amount = Math.floor(Math.min(lamports, spendable - TRANSFER_FEE_MARGIN_LAMPORTS));
+    if (amount < config.WALLET_TRANSFER_MIN_SOL * LAMPORTS_PER_SOL) return 0;
+
+    if (plan) {
+        plan.actions.push({ type: 'wallet_transfer', from: fromRole, to: toRole, sol: amount / LAMPORTS_PER_SOL });
+        projectBalance(plan, fromRole, -amount);
+        projectBalance(plan, toRole, amount);
+        return amount;
+    }
+
+    const from = getWallet(fromRole);
+    const tx = new Transaction();
+    solana.addPriorityFee(tx);
+    tx.add(SystemProgram.transfer({ fromPubkey: from.publicKey, toPubkey: getWallet(toRole).publicKey, lamports: amount }));
+    const sig = await solana.sendTxWithRetry(tx, [from], { purpose: ledger.LEDGER_PURPOSES.WALLET_TRANSFER });
+    logger.info(`Moved ${(amount / LAMPORTS_PER_SOL).toFixed(4)} SOL ${fromRole} -> ${toRole}: ${sig}`);
+    return amount;
+}
+
+/**
+ * Move a role's whole balance of a token to another role.
+ * With a plan the transfer is only recorded. Returns the raw amount moved (BigInt).
+ */
+async function transferTokens(fromRole, toRole, mint, tokenProgram, plan = null) {
+    if (sameWallet(fromRole, toRole)) return 0n;
+
+    const from = getWallet(fromRole);
+    const to = getWallet(toRole);
+    const sourceAta = await getAssociatedTokenAddress(mint, from.publicKey, false, tokenProgram);
+    let balance;
+    try {
+        ({ value: balance } = await solana.connection.getTokenAccountBalance(sourceAta));
+    } catch (e) {
+        return 0n; // No token account, nothing to move
+    }
+    const amount = BigInt(balance.amount);
+    if (amount === 0n) return 0n;
+
+    if (plan) {
+        plan.actions.push({ type: 'token_transfer', from: fromRole, to: toRole, mint: mint.toString(), amount: balance.uiAmountString });
+        return amount;
+    }
+
+    const destinationAta = await getAssociatedTokenAddress(mint, to.publicKey, false, tokenProgram);
+    const tx = new Transaction();
+    solana.addPriorityFee(tx);
+    tx.add(createAssociatedTokenAccountIdempotentInstruction(from.publicKey, destinationAta, to.publicKey, mint, tokenProgram));
+    tx.add(createTransferCheckedInstruction(sourceAta, mint, destinationAta, from.publicKey, amount, balance.decimals, [], tokenProgram));
+    const sig = await solana.sendTxWithRetry(tx, [from], { purpose: ledger.LEDGER_PURPOSES.WALLET_TRANSFER, mint: mint.toString() });
+    logger.info(`Moved ${balance.uiAmountString} of ${mint.toString()} ${fromRole} -> ${toRole}: ${sig}`);
+    return amount;
+}
+
+/**
+ * Address, SOL balance and floor of every role (for /api/health)
+ */
+async function getBalances() {
+    const balances = new Map();
+    const result = {};
+    for (const role of Object.values(ROLES)) {
+        const address = getWallet(role).publicKey.toBase58();
+        if (!balances.has(address)) {
+            balances.set(address, solana.getBalance(address).catch(() => null));
+        }
+        const balance = await balances.get(address);
+        const minBalance = getMinBalance(role);
+        result[role] = {
+            address,
+            balance: balance === null ? null : balance / LAMPORTS_PER_SOL,
+            minBalance: minBalance / LAMPORTS_PER_SOL,
+            belowMinimum: balance !== null && balance < minBalance
+        };
+    }
+    return result;
+}
+
+module.exports = {
+    ROLES,
+    initWallets,
+    getWallet,
+    sameWallet,
+    isRoleWallet,
+    getMinBalance,
+    createPlan,
+    projectBalance,
+    getBalance,
+    getSpendable,
+    assertSpendable,
+    transferSol,
+    transferTokens,
+    getBalances,
+};
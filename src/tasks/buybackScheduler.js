@@ -0,0 +1,30 @@
+/**
+ * Buyback Scheduler Task
+ * Buys the due slice of the active DCA buyback order (services/buybackOrders)
+ */
+const config = require('../config/env');
+const { logger, buybackOrders } = require('../services');
+
+let isBuying = false;
+
+async function runBuybackSlice(deps) {
+    if (isBuying) return;
+    isBuying = true;
+    try {
+        await buybackOrders.runDueSlice(deps.connection);
+    } catch (e) {
+        logger.error("Buyback scheduler error", { error: e.message });
+    } finally {
+        isBuying = false;
+    }
+}
+
+/**
+ * Start the buyback scheduler interval
+ */
+function start(deps) {
+    setInterval(() => runBuybackSlice(deps), config.BUYBACK_DCA_TICK_MS);
+    logger.info(`Buyback scheduler started (${config.BUYBACK_DCA_TICK_MS / 1000}s tick)`);
+}
+
+module.exports = { runBuybackSlice, start };
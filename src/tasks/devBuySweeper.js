@@ -0,0 +1,66 @@
+/**
+ * Dev-Buy Sweeper Task
+ * Finds dev wallet Token-2022 accounts for our launched mints that still
+ * hold a balance and queues them for the dev sell worker
+ */
+const config = require('../config/env');
+const { PROGRAMS } = require('../config/constants');
+const { logger, redis, database } = require('../services');
+
+let isSweeping = false;
+
+/**
+ * Scan the dev wallet and queue sells for leftover launch tokens
+ */
+async function sweepDevBuys(deps) {
+    const { connection, devKeypair, db } = deps;
+
+    if (isSweeping) return;
+    isSweeping = true;
+
+    try {
+        const launched = await db.all('SELECT mint, ticker, isMayhemMode FROM tokens');
+        const launchedByMint = new Map(launched.map(t => [t.mint, t]));
+
+        const accounts = await connection.getParsedTokenAccountsByOwner(devKeypair.publicKey, {
+            programId: PROGRAMS.TOKEN_2022
+        });
+
+        let queued = 0;
+        for (const { account } of accounts.value) {
+            const info = account.data?.parsed?.info;
+            if (!info || !launchedByMint.has(info.mint)) continue;
+            if (BigInt(info.tokenAmount?.amount || '0') === 0n) continue;
+
+            // Give up on mints that keep failing (e.g. curve already migrated)
+            const previous = await database.getDevBuySell(info.mint);
+            if (previous?.status === 'failed' && previous.sweeps >= config.DEV_SELL_MAX_SWEEPS) continue;
+
+            const token = launchedByMint.get(info.mint);
+            await redis.addDevSellJob({
+                mint: info.mint,
+                ticker: token.ticker,
+                isMayhemMode: !!token.isMayhemMode
+            });
+            await database.upsertDevBuySell(info.mint, { sweeps: (previous?.sweeps || 0) + 1 });
+            queued++;
+        }
+
+        if (queued > 0) logger.info(`Dev-buy sweeper: queued ${queued} leftover token accounts for sale`);
+    } catch (e) {
+        logger.error("Dev-buy sweeper error", { error: e.message });
+    } finally {
+        isSweeping = false;
+    }
+}
+
+/**
+ * Start the sweeper interval
+ */
+function start(deps) {
+    setInterval(() => sweepDevBuys(deps), config.DEV_SELL_SWEEP_INTERVAL);
+    setTimeout(() => sweepDevBuys(deps), 60000);
+    logger.info(`Dev-buy sweeper started (${config.DEV_SELL_SWEEP_INTERVAL / 60000} min interval)`);
+}
+
+module.exports = { sweepDevBuys, start };
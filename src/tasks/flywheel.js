@@ -1,6 +1,8 @@
 /**
  * Flywheel Task
- * Fee collection, buyback, and airdrop distribution
+ * Fee collection, buyback, and airdrop distribution.
+ * Creator fees land in the deployer wallet, buybacks are paid by the treasury
+ * and airdrops by the airdrop wallet; the cycle moves funds between them.
  */
 const { PublicKey, Transaction, TransactionInstruction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { BN } = require('@coral-xyz/anchor');
@@ -11,15 +13,21 @@ const {
 } = require('@solana/spl-token');
 const config = require('../config/env');
 const { TOKENS, PROGRAMS, WALLETS } = require('../config/constants');
-const { logger, pump, solana, jupiter } = require('../services');
+const { logger, database, pump, solana, buyback, buybackOrders, merkle, txErrors, ledger, wallets, flywheelSettings } = require('../services');
 
 let isBuybackRunning = false;
 let isAirdropping = false;
 
+// Recipients per airdrop transaction
+const AIRDROP_BATCH_SIZE = 8;
+// A signature that hasn't landed this long after sending never will (its blockhash has expired)
+const SIGNATURE_EXPIRY_MS = 5 * 60 * 1000;
+
 /**
- * Claim creator fees from bonding curve and AMM
+ * Claim creator fees from bonding curve and AMM.
+ * Returns { amount (lamports), signature } (with a dry-run plan the claim is only recorded).
  */
-async function claimCreatorFees(deps) {
+async function claimCreatorFees(deps, plan = null) {
     const { connection, devKeypair } = deps;
     const { bcVault, ammVaultAuth, ammVaultAta } = pump.getCreatorFeeVaults(devKeypair.publicKey);
 
@@ -95,161 +103,321 @@ async function claimCreatorFees(deps) {
     }
 
     if (claimedSomething) {
+        if (plan) {
+            plan.actions.push({ type: 'fee_claim', sol: totalClaimed / LAMPORTS_PER_SOL });
+            wallets.projectBalance(plan, wallets.ROLES.DEPLOYER, totalClaimed);
+            return { amount: totalClaimed, signature: null };
+        }
         tx.feePayer = devKeypair.publicKey;
-        await solana.sendTxWithRetry(tx, [devKeypair]);
-        return totalClaimed;
+        const signature = await solana.sendTxWithRetry(tx, [devKeypair], { purpose: ledger.LEDGER_PURPOSES.FEE_CLAIM });
+        return { amount: totalClaimed, signature };
     }
-    return 0;
+    return { amount: 0, signature: null };
 }
 
 /**
  * Process airdrop distribution
- * Updated with "King of the Hill" (KOTH) Logic and Dynamic Cost Check
+ * Updated with "King of the Hill" (KOTH) Logic and Dynamic Cost Check.
+ * Each airdrop is an epoch whose snapshot is stored before sending, and an
+ * unfinished epoch is resumed instead of taking a new snapshot.
+ * With a dry-run plan nothing is sent; the payouts are recorded on plan.airdrop.
  */
-async function processAirdrop(deps) {
-    const { connection, devKeypair, db, globalState } = deps;
+async function processAirdrop(deps, settings = null, plan = null) {
+    if (plan) return distributeAirdrop(deps, settings, plan);
 
     if (isAirdropping) return;
     isAirdropping = true;
 
     try {
-        const balance = globalState.devPumpHoldings;
+        await distributeAirdrop(deps, settings, null);
+    } finally {
+        isAirdropping = false;
+    }
+}
+
+async function distributeAirdrop(deps, settings, plan) {
+    const { db, globalState } = deps;
+    const preview = plan ? (plan.airdrop = { willRun: false, reason: null }) : null;
+
+    try {
+        if (!settings) settings = await flywheelSettings.getSettings();
+
+        // An epoch that was interrupted, or still has batches to retry, is finished before a new snapshot
+        const openEpoch = await database.getOpenAirdropEpoch();
+        if (openEpoch) {
+            if (preview) {
+                const batches = await database.getAirdropBatches(openEpoch.id);
+                preview.reason = `Epoch #${openEpoch.id} still running (${batches.filter(b => b.status !== 'sent').length} of ${batches.length} batches unsent)`;
+            } else {
+                await runAirdropEpoch(openEpoch, deps);
+            }
+            return;
+        }
+
+        // PUMP carried over from earlier epochs is owed to those wallets, not up for distribution
+        const carryovers = await database.getAirdropCarryovers();
+        const carriedTotal = Array.from(carryovers.values()).reduce((sum, amount) => sum + amount, 0n);
+        const balance = Math.max(0, globalState.devPumpHoldings - Number(carriedTotal) / 1000000);
         // Basic Threshold Check
-        if (balance <= 50000) {
-            isAirdropping = false;
+        if (balance <= settings.airdropThresholdPump) {
+            if (preview) preview.reason = `Holdings ${balance} PUMP not above threshold ${settings.airdropThresholdPump}`;
             return;
         }
 
         // --- FINAL SAFETY CHECK ---
-        const solBalance = await connection.getBalance(devKeypair.publicKey);
-        // Use the cached calculation from flywheel if available, otherwise safe fallback
-        const cachedCost = globalState.conservationStatus?.estimatedCost || (0.05 * LAMPORTS_PER_SOL);
+        const solBalance = await wallets.getBalance(wallets.ROLES.AIRDROP, plan);
+        // Use the cached calculation from flywheel if available (SOL), otherwise safe fallback,
+        // and never take the airdrop wallet below its floor
+        const conservation = plan ? plan.conservation : globalState.conservationStatus;
+        const cachedCost = (conservation ? conservation.estimatedCost * LAMPORTS_PER_SOL : 0.05 * LAMPORTS_PER_SOL)
+            + wallets.getMinBalance(wallets.ROLES.AIRDROP);
         
         if (solBalance < cachedCost) {
-            logger.warn(`Airdrop Skipped: Insufficient SOL (Final Check). Need ${(cachedCost/LAMPORTS_PER_SOL).toFixed(4)}, Have ${(solBalance/LAMPORTS_PER_SOL).toFixed(4)}`);
-            isAirdropping = false;
+            const reason = `Insufficient SOL. Need ${(cachedCost/LAMPORTS_PER_SOL).toFixed(4)}, Have ${(solBalance/LAMPORTS_PER_SOL).toFixed(4)}`;
+            if (preview) preview.reason = reason;
+            else logger.warn(`Airdrop Skipped: ${reason} (Final Check)`);
             return;
         }
         // --------------------------------
 
-        logger.info(`AIRDROP TRIGGERED: Balance ${balance} PUMP > 50,000`);
+        if (!plan) logger.info(`AIRDROP TRIGGERED: Balance ${balance} PUMP > ${settings.airdropThresholdPump.toLocaleString('en-US')}`);
 
         // Total Amount to be distributed (99% of holdings)
         const totalDistributable = balance * 0.99;
         let kothAmount = 0;
         let communityAmount = totalDistributable;
-        let kothTxSignature = null;
+        // Snapshot of who gets what, stored as the epoch before anything is sent
+        const batches = [];
 
         // 1. Identify King of the Hill (Highest MCAP)
         const kothToken = await db.get('SELECT userPubkey, ticker, mint FROM tokens ORDER BY marketCap DESC LIMIT 1');
-        
-        const devPumpAta = await getAssociatedTokenAddress(
-            TOKENS.PUMP, devKeypair.publicKey, false, PROGRAMS.TOKEN_2022
-        );
-
-        // 2. Process KOTH Payout (10%)
-        if (kothToken && kothToken.userPubkey) {
-            kothAmount = totalDistributable * 0.10;
-            communityAmount = totalDistributable * 0.90;
-
-            logger.info(`👑 King of the Hill found: ${kothToken.ticker} ($${kothAmount.toFixed(2)} PUMP prize)`);
 
-            try {
-                // Send specific transaction for KOTH
-                const kothBatch = [{ user: new PublicKey(kothToken.userPubkey), amount: new BN(kothAmount * 1000000) }];
-                kothTxSignature = await sendAirdropBatch(kothBatch, devPumpAta, deps);
-                
-                if (kothTxSignature) {
-                    logger.info(`✅ KOTH Payout Sent: ${kothTxSignature}`);
-                } else {
-                    logger.error("❌ KOTH Payout Failed - returning funds to community pool");
-                    // If fails, put money back in community pot
-                    communityAmount += kothAmount;
-                    kothAmount = 0;
-                }
+        // 2. KOTH Payout (its own batch)
+        if (kothToken && kothToken.userPubkey && settings.kothShare > 0) {
+            kothAmount = totalDistributable * settings.kothShare;
+            communityAmount = totalDistributable - kothAmount;
+
+            if (plan) {
+                preview.koth = { ticker: kothToken.ticker, mint: kothToken.mint, user: kothToken.userPubkey, amount: kothAmount };
+            } else try {
+                const kothUser = new PublicKey(kothToken.userPubkey).toBase58();
+                logger.info(`👑 King of the Hill found: ${kothToken.ticker} ($${kothAmount.toFixed(2)} PUMP prize)`);
+                batches.push({
+                    purpose: ledger.LEDGER_PURPOSES.KOTH_AIRDROP,
+                    recipients: [{ pubkey: kothUser, points: globalState.userPointsMap.get(kothUser) ?? null, amount: new BN(Math.floor(kothAmount * 1000000)).toString(), isKoth: true }]
+                });
             } catch (e) {
                 logger.error(`KOTH Logic Error: ${e.message}`);
+                // Put the prize back in the community pot
                 communityAmount += kothAmount;
                 kothAmount = 0;
             }
         }
 
-        // 3. Process Community Distribution (Remaining 90%)
-        const communityAmountInt = new BN(communityAmount * 1000000); // 6 decimals
+        // 3. Community Distribution (the rest)
+        const communityAmountInt = new BN(Math.floor(communityAmount * 1000000)); // 6 decimals
         const userPoints = Array.from(globalState.userPointsMap.entries())
             .map(([pubkey, points]) => ({ pubkey: new PublicKey(pubkey), points }))
             .filter(user => user.points > 0);
 
-        if (globalState.totalPoints === 0 || userPoints.length === 0) {
-             isAirdropping = false;
-             return;
+        const noUsers = globalState.totalPoints === 0 || userPoints.length === 0;
+        if (noUsers && (preview || batches.length === 0)) {
+            if (preview) preview.reason = 'No eligible users';
+            return;
         }
 
-        logger.info(`Distributing ${communityAmount} PUMP to ${userPoints.length} users (Community Pool)`);
-
-        const BATCH_SIZE = 8;
-        let currentBatch = [];
-        let allSignatures = [];
-        
-        // Add KOTH sig if it exists
-        if (kothTxSignature) allSignatures.push(`KOTH:${kothTxSignature}`);
-
-        let successfulBatches = 0;
-        let failedBatches = 0;
-
-        for (const user of userPoints) {
-            const share = communityAmountInt.mul(new BN(user.points)).div(new BN(globalState.totalPoints));
-            if (share.eqn(0)) continue;
-
-            currentBatch.push({ user: user.pubkey, amount: share });
-
-            if (currentBatch.length >= BATCH_SIZE) {
-                const sig = await sendAirdropBatch(currentBatch, devPumpAta, deps);
-                if (sig) {
-                    allSignatures.push(sig);
-                    successfulBatches++;
-                } else {
-                    failedBatches++;
-                }
-                currentBatch = [];
-                await new Promise(r => setTimeout(r, 1000));
+        // Shares below the minimum payout (with what the wallet already has carried
+        // over) aren't sent: they are carried over to the next epoch instead
+        const minPayout = new BN(Math.floor(settings.minPayoutPump * 1000000));
+        const pointsOf = new Map(noUsers ? [] : userPoints.map(user => [user.pubkey.toString(), user.points]));
+        const shares = [];
+        const carryover = [];
+        for (const pubkey of new Set([...pointsOf.keys(), ...carryovers.keys()])) {
+            const points = pointsOf.get(pubkey) || 0;
+            const carried = carryovers.get(pubkey) || 0n;
+            const share = points > 0 ? communityAmountInt.mul(new BN(points)).div(new BN(globalState.totalPoints)) : new BN(0);
+            const amount = share.add(new BN(carried.toString()));
+            if (amount.eqn(0)) continue;
+            if (amount.gte(minPayout)) {
+                shares.push({ pubkey, points, amount });
+                if (carried > 0n) carryover.push({ pubkey, amount: 0 });
+            } else if (!share.eqn(0)) {
+                carryover.push({ pubkey, amount: amount.toString() });
             }
         }
 
-        if (currentBatch.length > 0) {
-            const sig = await sendAirdropBatch(currentBatch, devPumpAta, deps);
-            if (sig) {
-                allSignatures.push(sig);
-                successfulBatches++;
-            } else {
-                failedBatches++;
-            }
+        if (plan) {
+            const recipients = shares.map(share => ({ pubkey: share.pubkey, points: share.points, amount: Number(share.amount.toString()) / 1000000 }));
+            Object.assign(preview, {
+                willRun: true,
+                totalDistributable,
+                communityAmount,
+                totalPoints: globalState.totalPoints,
+                minPayoutPump: settings.minPayoutPump,
+                carriedOver: carryover.filter(c => c.amount !== 0).length,
+                carryoverTotal: Number(carriedTotal) / 1000000,
+                recipients,
+                batches: Math.ceil(recipients.length / AIRDROP_BATCH_SIZE) + (preview.koth ? 1 : 0)
+            });
+            plan.actions.push({ type: 'airdrop', pump: totalDistributable, recipients: recipients.length + (preview.koth ? 1 : 0) });
+            return;
+        }
+
+        for (let i = 0; i < shares.length; i += AIRDROP_BATCH_SIZE) {
+            batches.push({
+                purpose: ledger.LEDGER_PURPOSES.AIRDROP,
+                recipients: shares.slice(i, i + AIRDROP_BATCH_SIZE).map(share => ({ ...share, amount: share.amount.toString() }))
+            });
         }
 
-        logger.info(`Airdrop Complete. Success: ${successfulBatches}, Failed: ${failedBatches}`);
+        const merkleRoot = merkle.getRoot(batches.flatMap(b => b.recipients));
+        const epochId = await database.createAirdropEpoch({
+            amount: totalDistributable,
+            totalPoints: globalState.totalPoints,
+            details: { kothWinner: kothAmount > 0 ? kothToken.ticker : 'None', kothAmount },
+            batches,
+            merkleRoot,
+            carryover
+        });
+        logger.info(`Airdrop epoch #${epochId}: distributing ${communityAmount} PUMP to ${shares.length} users (Community Pool)`, {
+            merkleRoot, carriedOver: carryover.filter(c => c.amount !== 0).length
+        });
+        if (config.AIRDROP_MERKLE_MEMO) await publishMerkleRoot(epochId, merkleRoot);
+
+        await runAirdropEpoch(await database.getAirdropEpoch(epochId), deps);
 
-        const details = JSON.stringify({ success: successfulBatches, failed: failedBatches, kothWinner: kothToken?.ticker || 'None', kothAmount: kothAmount });
-        await db.run(
-            'INSERT INTO airdrop_logs (amount, recipients, totalPoints, signatures, details, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
-            [totalDistributable, userPoints.length + (kothAmount > 0 ? 1 : 0), globalState.totalPoints, allSignatures.join(','), details, new Date().toISOString()]
-        );
-        
         // Clear status after run
         globalState.conservationStatus = null;
         
     } catch (e) {
+        if (preview) preview.reason = `Airdrop Failed: ${e.message}`;
         logger.error("Airdrop Failed", { error: e.message });
-    } finally {
-        isAirdropping = false;
+    }
+}
+
+/**
+ * Post an epoch's Merkle root in a memo from the airdrop wallet (best effort,
+ * the airdrop goes ahead without it)
+ */
+async function publishMerkleRoot(epochId, merkleRoot) {
+    const airdropWallet = wallets.getWallet(wallets.ROLES.AIRDROP);
+    try {
+        const tx = new Transaction();
+        solana.addPriorityFee(tx);
+        tx.add(new TransactionInstruction({
+            keys: [{ pubkey: airdropWallet.publicKey, isSigner: true, isWritable: false }],
+            programId: PROGRAMS.MEMO,
+            data: Buffer.from(`airdrop-epoch:${epochId}:merkle-root:${merkleRoot}`, 'utf8')
+        }));
+        const sig = await solana.sendTxWithRetry(tx, [airdropWallet], { purpose: ledger.LEDGER_PURPOSES.AIRDROP_MEMO, jobId: `airdrop:${epochId}:memo` });
+        await database.setAirdropMemoSignature(epochId, sig);
+        logger.info(`Airdrop epoch #${epochId}: Merkle root published: ${sig}`);
+    } catch (e) {
+        logger.error(`Airdrop epoch #${epochId}: publishing the Merkle root failed`, { error: e.message, code: e.code });
+    }
+}
+
+// Ledger job id of an airdrop batch, to find its transactions after a restart
+function airdropJobId(batch) {
+    return `airdrop:${batch.epochId}:${batch.batchIndex}`;
+}
+
+/**
+ * Outcome of a batch left in 'sending' (interrupted, or its status was unknown),
+ * from the batch's ledger entries: sent if one of its transactions landed,
+ * failed once none of them can land anymore, null while that is still open
+ */
+async function resolveSendingBatch(batch, connection) {
+    const { entries } = await database.listLedger({ jobId: airdropJobId(batch) }, { limit: 50 });
+    const landed = entries.find(e => e.status === 'confirmed');
+    if (landed) return { status: 'sent', signature: landed.signature };
+
+    const open = entries.filter(e => e.status === 'pending' || e.status === 'unknown');
+    if (open.length === 0) return { status: 'failed', error: 'Interrupted before it landed' };
+
+    const { value } = await connection.getSignatureStatuses(open.map(e => e.signature), { searchTransactionHistory: true });
+    for (const [i, status] of value.entries()) {
+        if (status && !status.err && status.confirmationStatus !== 'processed') {
+            await ledger.recordResult(open[i].signature, open[i].wallet, 'confirmed');
+            return { status: 'sent', signature: open[i].signature };
+        }
+    }
+    const expired = open.every((e, i) => value[i]?.err || (!value[i] && Date.now() - e.createdAt > SIGNATURE_EXPIRY_MS));
+    return expired ? { status: 'failed', error: 'Previous send did not land' } : null;
+}
+
+/**
+ * Send every batch of an epoch that hasn't gone out yet. Safe to run again
+ * after a crash or restart: sent batches are skipped, batches left 'sending'
+ * are resolved from the ledger first, and failed batches are retried on their
+ * own until they run out of attempts. The epoch stays 'running' while any
+ * batch can still be sent, and is then closed as completed or partial.
+ */
+async function runAirdropEpoch(epoch, deps) {
+    const airdropWallet = wallets.getWallet(wallets.ROLES.AIRDROP);
+    const sourceAta = await getAssociatedTokenAddress(TOKENS.PUMP, airdropWallet.publicKey, false, PROGRAMS.TOKEN_2022);
+    const batches = await database.getAirdropBatches(epoch.id);
+    let sentThisRun = 0;
+
+    for (const batch of batches) {
+        if (batch.status === 'sending') {
+            const outcome = await resolveSendingBatch(batch, deps.connection);
+            if (!outcome) continue; // May still land, never resend it blindly
+            await database.updateAirdropBatch(batch.id, outcome);
+            Object.assign(batch, outcome);
+            logger.info(`Airdrop epoch #${epoch.id} batch ${batch.batchIndex}: resolved as ${outcome.status}`, { signature: outcome.signature });
+        }
+        if (batch.status === 'sent' || batch.attempts >= config.AIRDROP_BATCH_MAX_ATTEMPTS) continue;
+        if (!await database.claimAirdropBatch(batch.id)) continue;
+        batch.attempts++;
+
+        if (sentThisRun++ > 0) await new Promise(r => setTimeout(r, 1000));
+        const items = batch.recipients.map(r => ({ user: new PublicKey(r.pubkey), amount: new BN(r.amount) }));
+        const result = await sendAirdropBatch(items, sourceAta, deps, batch.purpose, airdropJobId(batch));
+
+        if (result.signature) {
+            Object.assign(batch, { status: 'sent', signature: result.signature, error: null });
+            if (batch.purpose === ledger.LEDGER_PURPOSES.KOTH_AIRDROP) logger.info(`✅ KOTH Payout Sent: ${result.signature}`);
+        } else {
+            // Status unknown stays 'sending' and is resolved on the next run
+            Object.assign(batch, { status: result.statusUnknown ? 'sending' : 'failed', error: result.error });
+        }
+        await database.updateAirdropBatch(batch.id, batch);
+    }
+
+    const sent = batches.filter(b => b.status === 'sent');
+    const open = batches.filter(b => b.status === 'sending' || (b.status !== 'sent' && b.attempts < config.AIRDROP_BATCH_MAX_ATTEMPTS));
+    const failed = batches.length - sent.length - open.length;
+    const status = open.length > 0 ? 'running' : failed > 0 ? 'partial' : 'completed';
+
+    // The PUMP of community batches that never went out is still owed to their wallets
+    if (status === 'partial') {
+        await database.creditAirdropCarryover(batches
+            .filter(b => b.status !== 'sent' && b.purpose === ledger.LEDGER_PURPOSES.AIRDROP)
+            .flatMap(b => b.recipients));
+    }
+
+    await database.updateAirdropEpoch(epoch.id, {
+        status,
+        signatures: sent.map(b => (b.purpose === ledger.LEDGER_PURPOSES.KOTH_AIRDROP ? `KOTH:${b.signature}` : b.signature)).join(','),
+        details: { ...JSON.parse(epoch.details || '{}'), success: sent.length, failed, pending: open.length }
+    });
+
+    if (open.length > 0) {
+        logger.warn(`Airdrop epoch #${epoch.id}: ${open.length} batch(es) not sent yet, retrying next cycle`, { sent: sent.length, failed });
+    } else {
+        logger.info(`Airdrop Complete. Success: ${sent.length}, Failed: ${failed}`, { epoch: epoch.id });
     }
 }
 
 /**
  * Send a batch of airdrop transfers
  * Enhanced: Skips invalid ATAs instead of failing the whole batch
+ * Returns { signature } or { error, statusUnknown }.
  */
-async function sendAirdropBatch(batch, sourceAta, deps) {
-    const { connection, devKeypair } = deps;
+async function sendAirdropBatch(batch, sourceAta, deps, purpose = ledger.LEDGER_PURPOSES.AIRDROP, jobId = null) {
+    const { connection } = deps;
+    const airdropWallet = wallets.getWallet(wallets.ROLES.AIRDROP);
 
     try {
         const tx = new Transaction();
@@ -270,7 +438,7 @@ async function sendAirdropBatch(batch, sourceAta, deps) {
             }
         }
 
-        if (validItems.length === 0) return null;
+        if (validItems.length === 0) return { error: 'No valid recipients' };
 
         // 2. Fetch Infos for valid items only
         let infos = null;
@@ -292,44 +460,118 @@ async function sendAirdropBatch(batch, sourceAta, deps) {
             // If info is null, it means account doesn't exist -> Create it (Idempotent)
             if (!infos[idx]) {
                 tx.add(createAssociatedTokenAccountIdempotentInstruction(
-                    devKeypair.publicKey, ata, item.user, TOKENS.PUMP, PROGRAMS.TOKEN_2022
+                    airdropWallet.publicKey, ata, item.user, TOKENS.PUMP, PROGRAMS.TOKEN_2022
                 ));
             }
             tx.add(createTransferCheckedInstruction(
-                sourceAta, TOKENS.PUMP, ata, devKeypair.publicKey,
+                sourceAta, TOKENS.PUMP, ata, airdropWallet.publicKey,
                 BigInt(item.amount.toString()), 6, [], PROGRAMS.TOKEN_2022
             ));
         });
 
-        const sig = await solana.sendTxWithRetry(tx, [devKeypair]);
-        return sig;
+        const sig = await solana.sendTxWithRetry(tx, [airdropWallet], {
+            purpose,
+            mint: TOKENS.PUMP.toString(),
+            userPubkey: validItems.length === 1 ? validItems[0].user.toString() : null,
+            jobId
+        });
+        return { signature: sig };
+    } catch (e) {
+        if (e.code === txErrors.TX_ERRORS.STATUS_UNKNOWN) {
+            // May have landed, never resend it blindly
+            logger.error(`Airdrop batch status unknown: ${e.signature}`, { error: e.message });
+            return { error: e.message, statusUnknown: true };
+        }
+        logger.error(`Airdrop batch failed`, { error: e.message, code: e.code, signature: e.signature });
+        return { error: e.message };
+    }
+}
+
+/**
+ * Copy a swap result's quote and slippage figures into the cycle log
+ */
+function recordSwap(logData, swap) {
+    logData.quotedOut = swap.quotedOut ?? null;
+    logData.slippagePct = swap.slippagePct ?? null;
+    logData.priceImpactPct = swap.priceImpactPct ?? null;
+    logData.deviationPct = swap.deviationPct ?? null;
+    logData.buybackRoute = swap.route ?? null;
+}
+
+/**
+ * Move SOL between role wallets: fee intake keeps its refund reserve and sends
+ * the rest to the deployer, deployer surplus over its target goes to the treasury.
+ * Returns the new SOL the treasury may spend on this cycle's buyback
+ * (the claimed fees when deployer and treasury share a wallet).
+ */
+async function rebalanceWallets(claimedAmount, plan = null) {
+    const { ROLES } = wallets;
+
+    if (!wallets.sameWallet(ROLES.FEE_INTAKE, ROLES.DEPLOYER)) {
+        try {
+            const { balance } = await wallets.getSpendable(ROLES.FEE_INTAKE, plan);
+            await wallets.transferSol(ROLES.FEE_INTAKE, ROLES.DEPLOYER, balance - config.FEE_INTAKE_REFUND_RESERVE_SOL * LAMPORTS_PER_SOL, plan);
+        } catch (e) {
+            logger.error("Flywheel: fee intake sweep failed", { error: e.message, code: e.code });
+        }
+    }
+
+    if (wallets.sameWallet(ROLES.DEPLOYER, ROLES.TREASURY)) return claimedAmount;
+
+    try {
+        const { balance } = await wallets.getSpendable(ROLES.DEPLOYER, plan);
+        return await wallets.transferSol(ROLES.DEPLOYER, ROLES.TREASURY, balance - config.DEPLOYER_TARGET_BALANCE_SOL * LAMPORTS_PER_SOL, plan);
     } catch (e) {
-        logger.error(`Airdrop batch failed`, { error: e.message });
-        return null;
+        logger.error("Flywheel: deployer sweep to treasury failed", { error: e.message, code: e.code });
+        return 0;
     }
 }
 
 /**
- * Run the main flywheel cycle
+ * Run the main flywheel cycle.
+ * With a dry-run plan (see previewCycle) every decision is made the same way
+ * but nothing is sent or written; the plan collects what would have happened.
  */
-async function runPurchaseAndFees(deps) {
-    const { connection, devKeypair, db, globalState, recordClaim, updateNextCheckTime, logPurchase } = deps;
+async function runPurchaseAndFees(deps, plan = null) {
+    const { connection, devKeypair, db, globalState, recordClaim, updateNextCheckTime, logPurchase, logFlywheelCycle } = deps;
+    // A preview shouldn't fill the log with decisions that are never carried out
+    const log = plan ? logger.debug : logger.info;
+
+    if (!plan) {
+        if (isBuybackRunning) return;
+        isBuybackRunning = true;
+    }
 
-    if (isBuybackRunning) return;
-    isBuybackRunning = true;
+    // Read fresh every cycle so admin changes apply without a restart
+    let settings = flywheelSettings.getDefaults();
 
     let logData = {
         status: 'SKIPPED',
         reason: 'Unknown',
         feesCollected: 0,
+        feesClaimed: 0,
+        claimSig: null,
         solSpent: 0,
         tokensBought: 0,
         transfer9_5: 0,
         transfer0_5: 0,
-        pumpBuySig: null
+        pumpBuySig: null,
+        quotedOut: null,
+        slippagePct: null,
+        priceImpactPct: null,
+        deviationPct: null,
+        buybackRoute: null,
+        conservation: null
+    };
+
+    // Cycles go to flywheel_logs (history API) and the generic logs feed
+    const recordCycle = async () => {
+        await logFlywheelCycle(logData);
+        await logPurchase('FLYWHEEL_CYCLE', logData);
     };
 
     try {
+        settings = await flywheelSettings.getSettings();
         const { bcVault, ammVaultAta } = pump.getCreatorFeeVaults(devKeypair.publicKey);
         let totalPendingFees = new BN(0);
 
@@ -350,12 +592,23 @@ async function runPurchaseAndFees(deps) {
 
         logData.feesCollected = totalPendingFees.toNumber() / LAMPORTS_PER_SOL;
 
-        const threshold = new BN(config.FEE_THRESHOLD_SOL * LAMPORTS_PER_SOL);
+        const threshold = new BN(Math.round(settings.feeThresholdSol * LAMPORTS_PER_SOL));
         let claimedAmount = 0;
 
-        if (totalPendingFees.gte(threshold)) {
+        if (plan) {
+            plan.settings = settings;
+            plan.pendingFees = { sol: logData.feesCollected, thresholdSol: settings.feeThresholdSol, willClaim: totalPendingFees.gte(threshold) };
+        }
+
+        if (plan && totalPendingFees.gte(threshold)) {
+            ({ amount: claimedAmount } = await claimCreatorFees(deps, plan));
+            logData.feesClaimed = claimedAmount / LAMPORTS_PER_SOL;
+        } else if (totalPendingFees.gte(threshold)) {
             logger.info("Claiming fees...");
-            claimedAmount = await claimCreatorFees(deps);
+            const claim = await claimCreatorFees(deps);
+            claimedAmount = claim.amount;
+            logData.feesClaimed = claim.amount / LAMPORTS_PER_SOL;
+            logData.claimSig = claim.signature;
 
             if (claimedAmount > 0) {
                 await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [claimedAmount, 'lifetimeCreatorFeesLamports']);
@@ -366,20 +619,28 @@ async function runPurchaseAndFees(deps) {
             logData.reason = `Threshold not met`;
         }
 
-        const realBalance = await connection.getBalance(devKeypair.publicKey);
-        // Default buffer for normal operations
-        let dynamicSafetyBuffer = 0.05 * LAMPORTS_PER_SOL; 
+        const { ROLES } = wallets;
+        const treasury = wallets.getWallet(ROLES.TREASURY);
+        const fundsIn = await rebalanceWallets(claimedAmount, plan);
+
+        let realBalance = await wallets.getBalance(ROLES.TREASURY, plan);
+        // SOL still owed to a DCA buyback order is already spoken for
+        const reservedLamports = await buybackOrders.getReservedLamports();
+        realBalance -= reservedLamports;
+        // Default buffer for normal operations: the treasury's floor
+        let dynamicSafetyBuffer = wallets.getMinBalance(ROLES.TREASURY);
 
         // --- CONSERVATION & EXCESS LOGIC ---
-        const pumpBalance = globalState.devPumpHoldings || 0;
-        const AIRDROP_THRESHOLD = 50000;
+        // Carried-over airdrop payouts are owed already and don't count towards the threshold
+        const pumpBalance = Math.max(0, (globalState.devPumpHoldings || 0) - await database.getAirdropCarryoverTotal() / 1000000);
+        const AIRDROP_THRESHOLD = settings.airdropThresholdPump;
         const ATA_RENT_COST = 0.00203928 * LAMPORTS_PER_SOL; // Precise rent cost
         
         let proceedWithBuyback = true;
         let conservationStatus = null;
 
         if (pumpBalance > AIRDROP_THRESHOLD) {
-            logger.info("Flywheel: PUMP Threshold met. Calculating precise airdrop costs...");
+            log("Flywheel: PUMP Threshold met. Calculating precise airdrop costs...");
             
             const eligibleUsers = Array.from(globalState.userPointsMap.keys());
             let missingAtaCount = 0;
@@ -421,42 +682,62 @@ async function runPurchaseAndFees(deps) {
             
             // Base Cost = Rent for new accounts + standard transaction fee buffer
             const estimatedAirdropCost = (missingAtaCount * ATA_RENT_COST) + (0.05 * LAMPORTS_PER_SOL);
+            // The airdrop wallet pays it and keeps its own floor
+            const airdropNeeds = estimatedAirdropCost + wallets.getMinBalance(ROLES.AIRDROP);
+
+            // A separate airdrop wallet is topped up from the treasury
+            const separateAirdropWallet = !wallets.sameWallet(ROLES.TREASURY, ROLES.AIRDROP);
+            let airdropBalance = realBalance;
+            if (separateAirdropWallet) {
+                airdropBalance = await wallets.getBalance(ROLES.AIRDROP, plan);
+                if (airdropBalance < airdropNeeds) {
+                    try {
+                        const shortfall = Math.max(airdropNeeds - airdropBalance, config.WALLET_TRANSFER_MIN_SOL * LAMPORTS_PER_SOL);
+                        const moved = await wallets.transferSol(ROLES.TREASURY, ROLES.AIRDROP, shortfall, plan);
+                        airdropBalance += moved;
+                        realBalance -= moved;
+                    } catch (e) {
+                        logger.error("Flywheel: airdrop wallet top-up failed", { error: e.message, code: e.code });
+                    }
+                }
+            }
             
-            // Excess logic: Maintain 1 SOL buffer ON TOP of estimated costs
-            const ONE_SOL = 1 * LAMPORTS_PER_SOL;
-            const requiredReserve = estimatedAirdropCost + ONE_SOL;
+            // Excess logic: Maintain the reserve ON TOP of the airdrop costs this wallet still has to pay
+            const requiredReserve = (separateAirdropWallet ? 0 : airdropNeeds) + settings.reserveSol * LAMPORTS_PER_SOL;
 
             conservationStatus = {
                 eligibleCount: eligibleUsers.length,
                 missingAtas: missingAtaCount,
                 estimatedCost: estimatedAirdropCost / LAMPORTS_PER_SOL,
-                currentSol: realBalance / LAMPORTS_PER_SOL,
+                currentSol: airdropBalance / LAMPORTS_PER_SOL,
                 pumpBalance: pumpBalance,
-                isConserving: realBalance < estimatedAirdropCost // Only "conserving" if we can't afford the airdrop
+                isConserving: airdropBalance < airdropNeeds // Only "conserving" if we can't afford the airdrop
             };
             
-            globalState.conservationStatus = conservationStatus;
+            logData.conservation = conservationStatus;
+            if (plan) plan.conservation = conservationStatus;
+            else globalState.conservationStatus = conservationStatus;
 
-            if (realBalance < estimatedAirdropCost) {
+            if (airdropBalance < airdropNeeds) {
                 // CASE 1: NOT ENOUGH FOR AIRDROP -> Stop Buyback, Conserve SOL
-                logger.info(`Flywheel: Conserving SOL. Need ${conservationStatus.estimatedCost.toFixed(4)}, Have ${conservationStatus.currentSol.toFixed(4)}.`);
+                log(`Flywheel: Conserving SOL. Need ${conservationStatus.estimatedCost.toFixed(4)}, Have ${conservationStatus.currentSol.toFixed(4)}.`);
                 logData.status = 'CONSERVING_SOL';
                 logData.reason = `Saving for Airdrop (${missingAtaCount} new wallets)`;
                 proceedWithBuyback = false;
             } else if (realBalance > requiredReserve) {
                 // CASE 2: EXCESS FUNDS -> Enable Buyback with EXCESS only
                 // We set the safety buffer to the required reserve so we don't dip below it
-                logger.info(`Flywheel: Excess SOL detected (${conservationStatus.currentSol.toFixed(4)}). Buying PUMP with excess (Reserve: ${(requiredReserve/LAMPORTS_PER_SOL).toFixed(4)}).`);
+                log(`Flywheel: Excess SOL detected (${conservationStatus.currentSol.toFixed(4)}). Buying PUMP with excess (Reserve: ${(requiredReserve/LAMPORTS_PER_SOL).toFixed(4)}).`);
                 dynamicSafetyBuffer = requiredReserve;
                 logData.reason = 'Excess SOL Buyback';
                 proceedWithBuyback = true;
             } else {
                 // CASE 3: ENOUGH FOR AIRDROP, BUT NO EXCESS -> Skip Buyback, Trigger Airdrop
-                logger.info(`Flywheel: Ready for Airdrop. Triggering distribution.`);
+                log(`Flywheel: Ready for Airdrop. Triggering distribution.`);
                 logData.reason = 'Ready for Airdrop';
                 proceedWithBuyback = false; 
             }
-        } else {
+        } else if (!plan) {
             // Clear status if under threshold
             globalState.conservationStatus = null;
         }
@@ -467,55 +748,139 @@ async function runPurchaseAndFees(deps) {
             if (realBalance < dynamicSafetyBuffer) {
                 logData.reason = 'LOW BALANCE (Below Buffer)';
                 logData.status = 'LOW_BALANCE_SKIP';
-            } else if (claimedAmount > 0 || (pumpBalance > AIRDROP_THRESHOLD)) {
+            } else if (fundsIn > 0 || (pumpBalance > AIRDROP_THRESHOLD)) {
                 
                 // Determine spendable amount
-                let spendable = Math.min(claimedAmount, realBalance - dynamicSafetyBuffer);
+                let spendable = Math.min(fundsIn, realBalance - dynamicSafetyBuffer);
                 
                 // If in "Excess Mode", allow spending more of the excess
                 if (pumpBalance > AIRDROP_THRESHOLD) {
                     spendable = realBalance - dynamicSafetyBuffer;
-                    // Cap single buy size to 5 SOL for safety/slippage
-                    if (spendable > 5 * LAMPORTS_PER_SOL) spendable = 5 * LAMPORTS_PER_SOL;
+                    // Cap single buy size for safety/slippage
+                    if (spendable > settings.maxBuySol * LAMPORTS_PER_SOL) spendable = settings.maxBuySol * LAMPORTS_PER_SOL;
                 }
 
                 const MIN_SPEND = 0.05 * LAMPORTS_PER_SOL;
 
                 if (spendable > MIN_SPEND) {
-                    // Distribution: 95% Buyback, 4.5% ASDF Fee, 0.5% Upkeep
-                    const transfer9_5 = Math.floor(spendable * 0.045);
-                    const transfer0_5 = Math.floor(spendable * 0.005);
-                    const solBuyAmount = Math.floor(spendable * 0.95);
+                    // Distribution: Buyback, ASDF Fee, Upkeep (95% / 4.5% / 0.5% by default)
+                    const transfer9_5 = Math.floor(spendable * settings.asdfFeeShare);
+                    const transfer0_5 = Math.floor(spendable * settings.upkeepShare);
+                    const solBuyAmount = Math.floor(spendable * settings.buybackShare);
 
-                    logData.solSpent = (solBuyAmount + transfer9_5 + transfer0_5) / LAMPORTS_PER_SOL;
                     logData.transfer9_5 = transfer9_5 / LAMPORTS_PER_SOL;
                     logData.transfer0_5 = transfer0_5 / LAMPORTS_PER_SOL;
 
-                    // Fee distribution
-                    const feeTx = new Transaction();
-                    solana.addPriorityFee(feeTx);
-                    feeTx.add(SystemProgram.transfer({ fromPubkey: devKeypair.publicKey, toPubkey: WALLETS.FEE_95, lamports: transfer9_5 }));
-                    feeTx.add(SystemProgram.transfer({ fromPubkey: devKeypair.publicKey, toPubkey: WALLETS.FEE_05, lamports: transfer0_5 }));
-                    await solana.sendTxWithRetry(feeTx, [devKeypair]);
-                    logger.info("Fees Distributed");
-
-                    // DIRECT BUY: Swap SOL -> PUMP using Jupiter
-                    const swapResult = await jupiter.swapSolToToken(solBuyAmount, TOKENS.PUMP, devKeypair, connection);
-                    
-                    if (swapResult && swapResult.signature) {
-                        logData.pumpBuySig = swapResult.signature;
-                        logData.tokensBought = swapResult.outAmount;
-                        logData.status = 'SUCCESS';
-                        logData.reason = pumpBalance > AIRDROP_THRESHOLD ? 'Excess SOL Buyback' : 'Flywheel Complete';
-                        
-                        // Update Stats
-                        await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [solBuyAmount, 'totalPumpBoughtLamports']);
-                        
-                        // Convert raw units to float (Assuming 6 decimals for PUMP/Token-2022)
-                        const tokensBoughtVal = parseFloat(swapResult.outAmount) / 1000000;
-                        await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [tokensBoughtVal, 'totalPumpTokensBought']);
+                    // Buys bigger than one DCA slice are queued and bought a slice per interval
+                    const sliceLamports = Math.round(settings.dcaSliceSol * LAMPORTS_PER_SOL);
+                    const useDca = sliceLamports > 0 && solBuyAmount > sliceLamports;
+
+                    // Check the quote before any SOL moves, so a refused buyback spends nothing
+                    // (for a DCA order: the quote of its first slice)
+                    const guards = {
+                        slippageBps: settings.slippageBps,
+                        maxPriceImpactPct: settings.maxPriceImpactPct,
+                        maxPriceDeviationPct: settings.maxPriceDeviationPct
+                    };
+                    let quoteCheck;
+                    try {
+                        quoteCheck = await buyback.quote(useDca ? sliceLamports : solBuyAmount, TOKENS.PUMP, connection, guards);
+                    } catch (e) {
+                        quoteCheck = { aborted: false, error: e.message };
+                    }
+                    recordSwap(logData, quoteCheck);
+
+                    if (plan) {
+                        plan.buyback = {
+                            spendableSol: spendable / LAMPORTS_PER_SOL,
+                            buySol: solBuyAmount / LAMPORTS_PER_SOL,
+                            route: quoteCheck.route || null,
+                            asdfFeeSol: logData.transfer9_5,
+                            upkeepSol: logData.transfer0_5,
+                            quote: quoteCheck.quotedOut ? {
+                                pumpOut: parseFloat(quoteCheck.quotedOut) / 1000000,
+                                minPumpOut: parseFloat(quoteCheck.minOut) / 1000000,
+                                priceImpactPct: quoteCheck.priceImpactPct,
+                                deviationPct: quoteCheck.deviationPct
+                            } : null,
+                            guards,
+                            dca: useDca ? {
+                                sliceSol: settings.dcaSliceSol,
+                                slices: Math.ceil(solBuyAmount / sliceLamports),
+                                intervalMs: settings.dcaIntervalMs,
+                                alreadyQueuedSol: reservedLamports / LAMPORTS_PER_SOL
+                            } : null,
+                            aborted: !!quoteCheck.aborted,
+                            error: quoteCheck.error
+                        };
+                    }
+
+                    if (quoteCheck.error) {
+                        log(`Flywheel: buyback skipped: ${quoteCheck.error}`);
+                        logData.status = quoteCheck.aborted ? 'BUY_ABORTED' : 'BUY_FAIL';
+                        logData.reason = quoteCheck.error;
+                    } else if (plan) {
+                        if (transfer9_5 > 0 || transfer0_5 > 0) {
+                            plan.actions.push({ type: 'fee_distribution', asdfFeeSol: logData.transfer9_5, upkeepSol: logData.transfer0_5 });
+                        }
+                        if (useDca) {
+                            // The order's SOL stays in the treasury until its slices are bought
+                            logData.solSpent = (transfer9_5 + transfer0_5) / LAMPORTS_PER_SOL;
+                            plan.actions.push({ type: 'buyback_order', sol: plan.buyback.buySol, ...plan.buyback.dca });
+                            wallets.projectBalance(plan, ROLES.TREASURY, -(transfer9_5 + transfer0_5));
+                            logData.status = 'DCA_SCHEDULED';
+                            logData.reason = `${plan.buyback.buySol.toFixed(4)} SOL in ${plan.buyback.dca.slices} slices`;
+                        } else {
+                            logData.solSpent = (solBuyAmount + transfer9_5 + transfer0_5) / LAMPORTS_PER_SOL;
+                            plan.actions.push({ type: 'buyback', sol: plan.buyback.buySol, pumpOut: plan.buyback.quote.pumpOut });
+                            wallets.projectBalance(plan, ROLES.TREASURY, -(solBuyAmount + transfer9_5 + transfer0_5));
+                            logData.tokensBought = quoteCheck.quotedOut;
+                            logData.status = 'SUCCESS';
+                            logData.reason = pumpBalance > AIRDROP_THRESHOLD ? 'Excess SOL Buyback' : 'Flywheel Complete';
+                        }
                     } else {
-                        logData.status = 'BUY_FAIL';
+                        // Fee distribution
+                        if (transfer9_5 > 0 || transfer0_5 > 0) {
+                            const feeTx = new Transaction();
+                            solana.addPriorityFee(feeTx);
+                            if (transfer9_5 > 0) feeTx.add(SystemProgram.transfer({ fromPubkey: treasury.publicKey, toPubkey: WALLETS.FEE_95, lamports: transfer9_5 }));
+                            if (transfer0_5 > 0) feeTx.add(SystemProgram.transfer({ fromPubkey: treasury.publicKey, toPubkey: WALLETS.FEE_05, lamports: transfer0_5 }));
+                            await solana.sendTxWithRetry(feeTx, [treasury], { purpose: ledger.LEDGER_PURPOSES.FEE_DISTRIBUTION });
+                            // solSpent only counts what actually went out
+                            logData.solSpent += (transfer9_5 + transfer0_5) / LAMPORTS_PER_SOL;
+                            logger.info("Fees Distributed");
+                        }
+
+                        if (useDca) {
+                            // The buyback scheduler buys it (and updates the stats) slice by slice
+                            const order = await buybackOrders.queueBuyback(solBuyAmount);
+                            logData.status = 'DCA_SCHEDULED';
+                            logData.reason = `Order #${order.id}: ${(solBuyAmount / LAMPORTS_PER_SOL).toFixed(4)} SOL in slices of ${settings.dcaSliceSol} SOL`;
+                        } else {
+                            // DIRECT BUY: Swap SOL -> PUMP on the configured route (re-quoted and re-checked)
+                            const swapResult = await buyback.swap(solBuyAmount, TOKENS.PUMP, treasury, connection, guards);
+                            recordSwap(logData, swapResult);
+
+                            if (swapResult.success) {
+                                // A Pump AMM buy can come in under its budget
+                                const boughtLamports = swapResult.spentLamports ?? solBuyAmount;
+                                logData.pumpBuySig = swapResult.signature;
+                                logData.tokensBought = swapResult.outAmount;
+                                logData.solSpent += boughtLamports / LAMPORTS_PER_SOL;
+                                logData.status = 'SUCCESS';
+                                logData.reason = pumpBalance > AIRDROP_THRESHOLD ? 'Excess SOL Buyback' : 'Flywheel Complete';
+
+                                // Update Stats
+                                await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [boughtLamports, 'totalPumpBoughtLamports']);
+
+                                // Convert raw units to float (Assuming 6 decimals for PUMP/Token-2022)
+                                const tokensBoughtVal = parseFloat(swapResult.outAmount) / 1000000;
+                                await db.run('UPDATE stats SET value = value + ? WHERE key = ?', [tokensBoughtVal, 'totalPumpTokensBought']);
+                            } else {
+                                logData.status = swapResult.aborted ? 'BUY_ABORTED' : 'BUY_FAIL';
+                                logData.reason = swapResult.error;
+                            }
+                        }
                     }
                 } else {
                     logData.status = 'LOW_SPEND_SKIP';
@@ -523,27 +888,80 @@ async function runPurchaseAndFees(deps) {
             }
         }
 
+        // Bought PUMP belongs to the airdrop wallet (also picks up leftovers from earlier cycles)
+        try {
+            await wallets.transferTokens(ROLES.TREASURY, ROLES.AIRDROP, TOKENS.PUMP, PROGRAMS.TOKEN_2022, plan);
+        } catch (e) {
+            logger.error("Flywheel: moving PUMP to the airdrop wallet failed", { error: e.message, code: e.code });
+        }
+
         // Try to airdrop (internally checks balance & threshold)
-        await processAirdrop(deps);
-        await logPurchase('FLYWHEEL_CYCLE', logData);
+        await processAirdrop(deps, settings, plan);
+        if (!plan) await recordCycle();
 
     } catch (e) {
         logData.status = 'CRITICAL_ERROR';
         logData.reason = e.message;
-        await logPurchase('FLYWHEEL_CYCLE', logData);
+        if (plan) throw e;
+        await recordCycle();
         logger.error("CRITICAL FLYWHEEL ERROR", { message: e.message });
     } finally {
-        isBuybackRunning = false;
-        await updateNextCheckTime();
+        if (!plan) {
+            isBuybackRunning = false;
+            await updateNextCheckTime(settings.cycleIntervalMs);
+        }
     }
+    return logData;
+}
+
+/**
+ * Dry run of a full cycle against live balances: pending fees, conservation
+ * decision, buyback split and quote, wallet moves, KOTH payout and the
+ * per-user airdrop distribution. Nothing is signed, sent or stored.
+ */
+async function previewCycle(deps) {
+    const plan = wallets.createPlan();
+    const outcome = await runPurchaseAndFees(deps, plan);
+    return {
+        generatedAt: new Date().toISOString(),
+        settings: plan.settings || null,
+        pendingFees: plan.pendingFees || null,
+        conservation: plan.conservation || null,
+        buyback: plan.buyback || null,
+        airdrop: plan.airdrop || null,
+        outcome,
+        actions: plan.actions,
+        projectedBalanceChanges: Object.fromEntries(
+            [...plan.deltas].map(([address, lamports]) => [address, lamports / LAMPORTS_PER_SOL])
+        )
+    };
 }
 
 /**
- * Start the flywheel interval
+ * Start the flywheel loop. Each cycle schedules the next one with the
+ * interval setting current at that time.
  */
 function start(deps) {
-    setInterval(() => runPurchaseAndFees(deps), 5 * 60 * 1000);
-    logger.info("Flywheel started (5 min interval)");
+    const scheduleNext = async () => {
+        let interval = config.FLYWHEEL_INTERVAL_MS;
+        try {
+            interval = (await flywheelSettings.getSettings()).cycleIntervalMs;
+        } catch (e) {
+            logger.error("Flywheel: could not load settings, using default interval", { error: e.message });
+        }
+        setTimeout(async () => {
+            try {
+                await runPurchaseAndFees(deps);
+            } catch (e) {
+                logger.error("Flywheel cycle failed", { error: e.message });
+            } finally {
+                // A failed cycle must not end the loop
+                scheduleNext();
+            }
+        }, interval);
+    };
+    scheduleNext();
+    logger.info(`Flywheel started (${Math.round(config.FLYWHEEL_INTERVAL_MS / 60000)} min default interval)`);
 }
 
-module.exports = { claimCreatorFees, processAirdrop, runPurchaseAndFees, start };
+module.exports = { claimCreatorFees, processAirdrop, runPurchaseAndFees, previewCycle, start };
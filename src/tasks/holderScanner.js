@@ -7,22 +7,22 @@ const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const { BN } = require('@coral-xyz/anchor');
 const config = require('../config/env');
 const { TOKENS, PROGRAMS, WALLETS } = require('../config/constants');
-const { logger } = require('../services');
+const { logger, database, wallets, flywheelSettings } = require('../services');
 
 /**
  * Update global state (holders, points, expected airdrops)
  */
 async function updateGlobalState(deps) {
-    const { connection, devKeypair, db, globalState } = deps;
+    const { connection, db, globalState } = deps;
 
     try {
         const topTokens = await db.all('SELECT mint, userPubkey FROM tokens ORDER BY volume24h DESC LIMIT 10');
         const top10Mints = topTokens.map(t => t.mint);
 
-        // Cache dev wallet PUMP holdings
+        // Cache the airdrop wallet's PUMP holdings (what the next airdrop distributes)
         try {
             const devPumpAta = await getAssociatedTokenAddress(
-                TOKENS.PUMP, devKeypair.publicKey, false, PROGRAMS.TOKEN_2022
+                TOKENS.PUMP, wallets.getWallet(wallets.ROLES.AIRDROP).publicKey, false, PROGRAMS.TOKEN_2022
             );
             const tokenBal = await connection.getTokenAccountBalance(devPumpAta);
             globalState.devPumpHoldings = tokenBal.value.uiAmount || 0;
@@ -36,11 +36,12 @@ async function updateGlobalState(deps) {
         const rawHoldings = globalState.devPumpHoldings;
         const totalDistributable = rawHoldings * 0.99;
         
-        // KOTH gets 10% of the distributable amount
-        const kothPot = totalDistributable * 0.10;
+        // KOTH gets its share of the distributable amount (10% by default)
+        const { kothShare } = await flywheelSettings.getSettings();
+        const kothPot = totalDistributable * kothShare;
         
-        // Community gets the remaining 90%
-        const communityPot = totalDistributable * 0.90;
+        // Community gets the rest
+        const communityPot = totalDistributable - kothPot;
 
         // 2. Identify KOTH Creator
         const kothToken = await db.get('SELECT userPubkey FROM tokens ORDER BY marketCap DESC LIMIT 1');
@@ -97,8 +98,7 @@ async function updateGlobalState(deps) {
                     logger.error(`Failed to scan holders for ${token.mint}`, { error: scanErr.message });
                 }
 
-                await db.run('BEGIN TRANSACTION');
-                try {
+                await database.withTransaction(async () => {
                     await db.run('DELETE FROM token_holders WHERE mint = ?', token.mint);
 
                     if (holdersToInsert.length > 0) {
@@ -111,11 +111,7 @@ async function updateGlobalState(deps) {
                             rank++;
                         }
                     }
-                    await db.run('COMMIT');
-                } catch (err) {
-                    await db.run('ROLLBACK');
-                    throw err;
-                }
+                });
             } catch (e) {
                 logger.error(`Holder update loop error for ${token.mint}: ${e.message}`);
             }
@@ -147,7 +143,7 @@ async function updateGlobalState(deps) {
             }
 
             for (const [pubkey, data] of rawPointsMap.entries()) {
-                if (pubkey === devKeypair.publicKey.toString()) continue;
+                if (wallets.isRoleWallet(pubkey)) continue;
 
                 // CHECK ASDF MULTIPLIER (Now Top 100)
                 const isAsdfTop100 = globalState.asdfTop50Holders.has(pubkey);
@@ -169,7 +165,7 @@ async function updateGlobalState(deps) {
         globalState.userPointsMap.clear();
 
         for (const [pubkey, data] of rawPointsMap.entries()) {
-            if (pubkey === devKeypair.publicKey.toString()) continue;
+            if (wallets.isRoleWallet(pubkey)) continue;
 
             const isAsdfTop100 = globalState.asdfTop50Holders.has(pubkey);
             const points = (data.holderPoints + (data.creatorPoints * 2)) * (isAsdfTop100 ? 2 : 1);
@@ -193,7 +189,7 @@ async function updateGlobalState(deps) {
         }
 
         // Edge Case: KOTH Creator exists but has 0 points
-        if (kothCreator && !globalState.userExpectedAirdrops.has(kothCreator) && kothCreator !== devKeypair.publicKey.toString()) {
+        if (kothCreator && !globalState.userExpectedAirdrops.has(kothCreator) && !wallets.isRoleWallet(kothCreator)) {
             globalState.userExpectedAirdrops.set(kothCreator, kothPot);
         }
 
@@ -7,6 +7,9 @@ const metadataUpdater = require('./metadataUpdater');
 const asdfSync = require('./asdfSync');
 const flywheel = require('./flywheel');
 const workers = require('./workers');
+const devBuySweeper = require('./devBuySweeper');
+const refundRetry = require('./refundRetry');
+const buybackScheduler = require('./buybackScheduler');
 const { vanity, logger } = require('../services');
 const config = require('../config/env');
 
@@ -26,6 +29,9 @@ function startAll(deps) {
     // Start flywheel
     flywheel.start(deps);
 
+    // Start DCA buyback slices
+    buybackScheduler.start(deps);
+
     // Start vanity pool auto-refill
     if (config.VANITY_GRINDER_ENABLED && config.VANITY_GRINDER_URL) {
         vanity.startAutoRefill();
@@ -33,8 +39,15 @@ function startAll(deps) {
 
     // Initialize workers
     workers.initDeployWorker(deps);
+    workers.initDevSellWorker(deps);
     workers.initSocialWorker(deps);
 
+    // Start dev-buy sweeper (after workers so queued sells get picked up)
+    devBuySweeper.start(deps);
+
+    // Start refund retry
+    refundRetry.start(deps);
+
     logger.info("All background tasks started");
 }
 
@@ -44,5 +57,8 @@ module.exports = {
     asdfSync,
     flywheel,
     workers,
+    devBuySweeper,
+    refundRetry,
+    buybackScheduler,
     startAll,
 };
@@ -0,0 +1,30 @@
+/**
+ * Refund Retry Task
+ * Periodically re-sends failed refunds from the refund ledger
+ */
+const config = require('../config/env');
+const { logger, refunds } = require('../services');
+
+let isRetrying = false;
+
+async function runRefundRetry() {
+    if (isRetrying) return;
+    isRetrying = true;
+    try {
+        await refunds.retryFailedRefunds();
+    } catch (e) {
+        logger.error("Refund retry error", { error: e.message });
+    } finally {
+        isRetrying = false;
+    }
+}
+
+/**
+ * Start the refund retry interval
+ */
+function start() {
+    setInterval(runRefundRetry, config.REFUND_RETRY_INTERVAL);
+    logger.info(`Refund retry started (${config.REFUND_RETRY_INTERVAL / 60000} min interval)`);
+}
+
+module.exports = { runRefundRetry, start };
@@ -4,157 +4,224 @@
  */
 const { PublicKey, Transaction, TransactionInstruction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { BN } = require('@coral-xyz/anchor');
-const { getAssociatedTokenAddress, createCloseAccountInstruction, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { DelayedError } = require('bullmq');
+const { getAssociatedTokenAddress, createCloseAccountInstruction } = require('@solana/spl-token');
 const config = require('../config/env');
 const { PROGRAMS, WALLETS } = require('../config/constants');
-const { logger, redis, pump, vanity, solana, twitter } = require('../services');
+const { logger, redis, pump, vanity, solana, twitter, database, refunds, pinata, txErrors, ledger, wallets } = require('../services');
+
+const { DEPLOY_STAGES } = database;
+
+/**
+ * Record a deploy stage in the DB timeline and publish it as job progress
+ * so polling and the SSE stream report the same stages
+ */
+async function reportStage(job, stage, options = {}) {
+    await database.recordDeployStage(job.id, stage, options);
+    try {
+        await job.updateProgress({
+            stage,
+            mint: options.mint || job.progress?.mint || null,
+            signature: options.signature || null,
+            error: options.error || null,
+            timestamp: Date.now()
+        });
+    } catch (e) {
+        logger.debug('Job progress update failed', { jobId: job.id, error: e.message });
+    }
+}
+
+/**
+ * Re-check a scheduled launch when it fires: the metadata must still resolve
+ * to the same token
+ */
+async function validateScheduledLaunch(data) {
+    let metadata;
+    try {
+        metadata = await pinata.fetchMetadata(data.metadataUri);
+    } catch (e) {
+        throw new Error(`Scheduled launch metadata unavailable: ${e.message}`);
+    }
+    if (metadata.name !== data.name || metadata.symbol !== data.ticker) {
+        throw new Error("Scheduled launch metadata does not match token name/ticker");
+    }
+}
+
+/**
+ * Save a confirmed launch and queue its social post
+ */
+async function recordLaunch(deps, job, mint) {
+    const { name, ticker, description, twitter: twitterHandle, website, image, userPubkey, isMayhemMode, metadataUri } = job.data;
+
+    // CRITICAL: Save data with the explicit Image URL we got from Pinata
+    await deps.saveTokenData(userPubkey, mint, {
+        name, ticker, description, twitter: twitterHandle,
+        website, image, // <-- This is now the URL
+        isMayhemMode, metadataUri
+    });
+
+    // Queue social post
+    await redis.addSocialJob({ name, ticker, mint });
+    await reportStage(job, DEPLOY_STAGES.TWEET_QUEUED);
+}
+
+/**
+ * Record a failed deploy and refund the fee, unless the token already exists on-chain
+ */
+async function handleDeployFailure(job, jobError, tokenCreated) {
+    const { userPubkey, paymentSignature } = job.data;
+
+    logger.error(`Job Failed: ${jobError.message}`);
+    await reportStage(job, DEPLOY_STAGES.FAILED, {
+        status: 'failed',
+        error: jobError.message,
+        details: jobError.code ? { code: jobError.code, programError: jobError.programError || null } : undefined
+    });
+    // The create transaction may still have landed: leave the refund to an admin
+    if (jobError.code === txErrors.TX_ERRORS.STATUS_UNKNOWN) {
+        await reportStage(job, DEPLOY_STAGES.REFUND_FAILED, { signature: jobError.signature, error: 'Launch status unknown, check the signature before refunding' });
+        return;
+    }
+    // Never refund a launch that actually landed on-chain
+    if (userPubkey && !tokenCreated) {
+        const refundSig = await refunds.refundPayment({
+            paymentSignature: paymentSignature || `job:${job.id}`,
+            userPubkey,
+            reason: "Deployment Failed: " + jobError.message,
+            deployJobId: String(job.id)
+        });
+        if (refundSig) {
+            await reportStage(job, DEPLOY_STAGES.REFUNDED, { signature: refundSig });
+        } else {
+            await reportStage(job, DEPLOY_STAGES.REFUND_FAILED, { error: 'Refund not sent, see refund ledger' });
+        }
+    }
+}
+
+// Pages of curve history searched for the create transaction before giving up
+const CREATE_SIGNATURE_MAX_PAGES = 5;
+
+/**
+ * Oldest signature on a bonding curve, i.e. its create transaction. The
+ * wallet signs and sends the launch, so we never see its signature: page back
+ * through the curve's history, which busy launches fill with trades quickly.
+ * Null if it is further back than CREATE_SIGNATURE_MAX_PAGES pages.
+ */
+async function findCreateSignature(connection, bondingCurve) {
+    let oldest = null;
+    for (let page = 0; page < CREATE_SIGNATURE_MAX_PAGES; page++) {
+        const sigs = await connection.getSignaturesForAddress(bondingCurve, { limit: 1000, before: oldest || undefined }, 'confirmed');
+        if (sigs.length > 0) oldest = sigs[sigs.length - 1].signature;
+        if (sigs.length < 1000) return oldest;
+    }
+    logger.warn('Create signature not found within page limit', { bondingCurve: bondingCurve.toBase58(), pages: CREATE_SIGNATURE_MAX_PAGES });
+    return null;
+}
+
+/**
+ * Track a user-as-creator launch: the user's wallet co-signs and sends the
+ * transaction, we poll until the bonding curve exists or the blockhash expires
+ */
+async function trackUserDeploy(deps, job, token) {
+    const { connection } = deps;
+    const { mint, lastValidBlockHeight } = job.data;
+    const { bondingCurve } = pump.getPumpPDAs(new PublicKey(mint));
+    let tokenCreated = false;
+
+    try {
+        const curveInfo = await connection.getAccountInfo(bondingCurve, 'confirmed');
+        if (curveInfo) {
+            tokenCreated = true;
+            const sig = await findCreateSignature(connection, bondingCurve);
+            logger.info(`User-signed launch confirmed: ${mint}`, { signature: sig });
+            await reportStage(job, DEPLOY_STAGES.CONFIRMED, { signature: sig, status: 'completed' });
+            await recordLaunch(deps, job, mint);
+            return { mint, signature: sig };
+        }
+
+        const blockHeight = await connection.getBlockHeight('confirmed');
+        if (blockHeight > lastValidBlockHeight) {
+            throw new Error("Launch transaction was not signed and sent before it expired");
+        }
+    } catch (jobError) {
+        await handleDeployFailure(job, jobError, tokenCreated);
+        throw jobError;
+    }
+
+    await job.moveToDelayed(Date.now() + config.USER_DEPLOY_POLL_MS, token);
+    throw new DelayedError();
+}
 
 /**
  * Initialize deploy worker
  */
 function initDeployWorker(deps) {
-    const { connection, devKeypair, db, saveTokenData, refundUser } = deps;
+    const { devKeypair } = deps;
+
+    const worker = redis.createWorker('deployQueue', async (job, token) => {
+        if (job.name === redis.USER_DEPLOY_JOB) return trackUserDeploy(deps, job, token);
 
-    const worker = redis.createWorker('deployQueue', async (job) => {
         logger.info(`STARTING JOB ${job.id}: ${job.data.ticker}`);
         
         // Image here is now the URL passed from deploy route, NOT base64
-        const { name, ticker, description, twitter: twitterHandle, website, image, userPubkey, isMayhemMode, metadataUri } = job.data;
+        const { name, ticker, isMayhemMode, metadataUri, paymentSignature, launchAt } = job.data;
+
+        await database.createDeployJob(job.id, job.data);
+        await reportStage(job, DEPLOY_STAGES.PAYMENT_VERIFIED, { signature: paymentSignature || null, status: 'active' });
+
+        let tokenCreated = false;
 
         try {
             if (!metadataUri) throw new Error("Metadata URI missing");
+            if (launchAt) await validateScheduledLaunch(job.data);
+            const solBuyLamports = Math.floor(config.DEV_BUY_SOL * LAMPORTS_PER_SOL);
+            await wallets.assertSpendable(wallets.ROLES.DEPLOYER, solBuyLamports);
             const mintKeypair = await vanity.getMintKeypair();
             const mint = mintKeypair.publicKey;
             const creator = devKeypair.publicKey;
+            await reportStage(job, DEPLOY_STAGES.MINT_KEYPAIR_ACQUIRED, { mint: mint.toString() });
 
-            // ... (Keep existing PDA derivation and Transaction Construction logic) ...
-            const { global, bondingCurve, associatedBondingCurve, eventAuthority, feeConfig, globalVolumeAccumulator } = pump.getPumpPDAs(mint);
-            const [mintAuthority] = PublicKey.findProgramAddressSync([Buffer.from("mint-authority")], PROGRAMS.PUMP);
-            const [metadata] = PublicKey.findProgramAddressSync([Buffer.from("metadata"), PROGRAMS.METADATA.toBuffer(), mint.toBuffer()], PROGRAMS.METADATA);
-            const [creatorVault] = PublicKey.findProgramAddressSync([Buffer.from("creator-vault"), creator.toBuffer()], PROGRAMS.PUMP);
-            const [userVolumeAccumulator] = PublicKey.findProgramAddressSync([Buffer.from("user_volume_accumulator"), creator.toBuffer()], PROGRAMS.PUMP);
-            const [mayhemState] = PublicKey.findProgramAddressSync([Buffer.from("mayhem-state"), mint.toBuffer()], PROGRAMS.MAYHEM);
-            const mayhemTokenVault = pump.getATA(mint, WALLETS.SOL_VAULT, PROGRAMS.TOKEN_2022);
-
-            const createData = pump.buildCreateInstructionData(name, ticker, metadataUri, creator, isMayhemMode);
-            // ... (Keep keys array) ...
-            const createKeys = [
-                { pubkey: mint, isSigner: true, isWritable: true },
-                { pubkey: mintAuthority, isSigner: false, isWritable: false },
-                { pubkey: bondingCurve, isSigner: false, isWritable: true },
-                { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
-                { pubkey: global, isSigner: false, isWritable: false },
-                { pubkey: creator, isSigner: true, isWritable: true },
-                { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
-                { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.MAYHEM, isSigner: false, isWritable: true },
-                { pubkey: WALLETS.GLOBAL_PARAMS, isSigner: false, isWritable: false },
-                { pubkey: WALLETS.SOL_VAULT, isSigner: false, isWritable: true },
-                { pubkey: mayhemState, isSigner: false, isWritable: true },
-                { pubkey: mayhemTokenVault, isSigner: false, isWritable: true },
-                { pubkey: eventAuthority, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false }
-            ];
-            const createIx = new TransactionInstruction({ keys: createKeys, programId: PROGRAMS.PUMP, data: createData });
-
-            const feeRecipient = isMayhemMode ? WALLETS.MAYHEM_FEE : WALLETS.FEE_STANDARD;
-            const associatedUser = pump.getATA(mint, creator, PROGRAMS.TOKEN_2022);
-            const solBuyAmount = Math.floor(0.01 * LAMPORTS_PER_SOL);
-            const tokenBuyAmount = pump.calculateTokensForSol(solBuyAmount);
-            const buyData = pump.buildBuyInstructionData(tokenBuyAmount, new BN(Math.floor(solBuyAmount * 1.05)));
-            // ... (Keep buy keys) ...
-            const buyKeys = [
-                { pubkey: global, isSigner: false, isWritable: false },
-                { pubkey: feeRecipient, isSigner: false, isWritable: true },
-                { pubkey: mint, isSigner: false, isWritable: false },
-                { pubkey: bondingCurve, isSigner: false, isWritable: true },
-                { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
-                { pubkey: associatedUser, isSigner: false, isWritable: true },
-                { pubkey: creator, isSigner: true, isWritable: true },
-                { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
-                { pubkey: creatorVault, isSigner: false, isWritable: true },
-                { pubkey: eventAuthority, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false },
-                { pubkey: globalVolumeAccumulator, isSigner: false, isWritable: false },
-                { pubkey: userVolumeAccumulator, isSigner: false, isWritable: true },
-                { pubkey: feeConfig, isSigner: false, isWritable: false },
-                { pubkey: PROGRAMS.FEE, isSigner: false, isWritable: false }
-            ];
-            const buyIx = new TransactionInstruction({ keys: buyKeys, programId: PROGRAMS.PUMP, data: buyData });
-
-            const createATAIx = new TransactionInstruction({
-                keys: [
-                    { pubkey: creator, isSigner: true, isWritable: true },
-                    { pubkey: associatedUser, isSigner: false, isWritable: true },
-                    { pubkey: creator, isSigner: false, isWritable: false },
-                    { pubkey: mint, isSigner: false, isWritable: false },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                    { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
-                ],
-                programId: ASSOCIATED_TOKEN_PROGRAM_ID,
-                data: Buffer.alloc(0),
+            const { instructions } = pump.buildLaunchInstructions({
+                mint, creator, name, ticker, metadataUri, isMayhemMode,
+                solBuyLamports
             });
 
             const tx = new Transaction();
             solana.addPriorityFee(tx);
-            tx.add(createIx).add(createATAIx).add(buyIx);
+            instructions.forEach(ix => tx.add(ix));
             tx.feePayer = creator;
 
             logger.info(`Sending Transaction...`);
-            const sig = await solana.sendTxWithRetry(tx, [devKeypair, mintKeypair]);
+            await reportStage(job, DEPLOY_STAGES.CREATE_TX_SENT);
+            const sig = await solana.sendTxWithRetry(tx, [devKeypair, mintKeypair], {
+                purpose: ledger.LEDGER_PURPOSES.DEPLOY,
+                mint: mint.toString(),
+                userPubkey: job.data.userPubkey,
+                jobId: job.id
+            });
             logger.info(`Transaction Confirmed: ${sig}`);
+            tokenCreated = true;
+            await reportStage(job, DEPLOY_STAGES.CONFIRMED, { signature: sig, status: 'completed' });
 
-            // CRITICAL: Save data with the explicit Image URL we got from Pinata
-            await saveTokenData(userPubkey, mint.toString(), { 
-                name, ticker, description, twitter: twitterHandle, 
-                website, image, // <-- This is now the URL
-                isMayhemMode, metadataUri 
-            });
+            await recordLaunch(deps, job, mint.toString());
 
-            // Queue social post
-            await redis.addSocialJob({ name, ticker, mint: mint.toString() });
-
-            // Sell tokens logic (Keep existing)
-            setTimeout(async () => {
-                try {
-                    const bal = await connection.getTokenAccountBalance(associatedUser);
-                    if (bal.value?.uiAmount > 0) {
-                        const sellData = pump.buildSellInstructionData(new BN(bal.value.amount));
-                        // ... (Keep sell keys) ...
-                        const sellKeys = [
-                            { pubkey: global, isSigner: false, isWritable: false },
-                            { pubkey: feeRecipient, isSigner: false, isWritable: true },
-                            { pubkey: mint, isSigner: false, isWritable: false },
-                            { pubkey: bondingCurve, isSigner: false, isWritable: true },
-                            { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
-                            { pubkey: associatedUser, isSigner: false, isWritable: true },
-                            { pubkey: creator, isSigner: true, isWritable: true },
-                            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                            { pubkey: creatorVault, isSigner: false, isWritable: true },
-                            { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
-                            { pubkey: eventAuthority, isSigner: false, isWritable: false },
-                            { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false },
-                            { pubkey: feeConfig, isSigner: false, isWritable: false },
-                            { pubkey: PROGRAMS.FEE, isSigner: false, isWritable: false }
-                        ];
-                        const sellIx = new TransactionInstruction({ keys: sellKeys, programId: PROGRAMS.PUMP, data: sellData });
-                        const closeIx = createCloseAccountInstruction(associatedUser, creator, creator, [], PROGRAMS.TOKEN_2022);
-                        const sellTx = new Transaction();
-                        solana.addPriorityFee(sellTx);
-                        sellTx.add(sellIx).add(closeIx);
-                        await solana.sendTxWithRetry(sellTx, [devKeypair]);
-                        logger.info(`Sold & Closed Account for ${ticker}`);
-                    }
-                } catch (e) { logger.error("Sell error", { msg: e.message }); }
-            }, 1500);
+            // Sell the dev buy in its own retryable job
+            try {
+                await redis.addDevSellJob(
+                    { mint: mint.toString(), isMayhemMode: !!isMayhemMode, ticker, deployJobId: String(job.id) },
+                    { delay: config.DEV_SELL_DELAY_MS }
+                );
+                await database.upsertDevBuySell(mint.toString(), { deployJobId: String(job.id), status: 'pending' });
+                await reportStage(job, DEPLOY_STAGES.DEV_BUY_SELL_QUEUED);
+            } catch (e) {
+                // The sweeper picks up anything left behind
+                logger.error("Failed to queue dev-buy sell", { mint: mint.toString(), error: e.message });
+            }
 
             return { mint: mint.toString(), signature: sig };
 
         } catch (jobError) {
-            logger.error(`Job Failed: ${jobError.message}`);
-            if (userPubkey) await refundUser(userPubkey, "Deployment Failed: " + jobError.message);
+            await handleDeployFailure(job, jobError, tokenCreated);
             throw jobError;
         }
     }, { concurrency: 1 });
@@ -163,6 +230,119 @@ function initDeployWorker(deps) {
     return worker;
 }
 
+/**
+ * Build the sell + close transaction for a dev-buy token account
+ * Sell is skipped when the account is already empty, close is always included
+ */
+function buildDevSellTx(mint, creator, tokenAmount, isMayhemMode) {
+    const { global, bondingCurve, associatedBondingCurve, eventAuthority, feeConfig } = pump.getPumpPDAs(mint);
+    const [creatorVault] = PublicKey.findProgramAddressSync([Buffer.from("creator-vault"), creator.toBuffer()], PROGRAMS.PUMP);
+    const feeRecipient = isMayhemMode ? WALLETS.MAYHEM_FEE : WALLETS.FEE_STANDARD;
+    const associatedUser = pump.getATA(mint, creator, PROGRAMS.TOKEN_2022);
+
+    const tx = new Transaction();
+    solana.addPriorityFee(tx);
+
+    if (tokenAmount.gtn(0)) {
+        const sellData = pump.buildSellInstructionData(tokenAmount);
+        const sellKeys = [
+            { pubkey: global, isSigner: false, isWritable: false },
+            { pubkey: feeRecipient, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: bondingCurve, isSigner: false, isWritable: true },
+            { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+            { pubkey: associatedUser, isSigner: false, isWritable: true },
+            { pubkey: creator, isSigner: true, isWritable: true },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: creatorVault, isSigner: false, isWritable: true },
+            { pubkey: PROGRAMS.TOKEN_2022, isSigner: false, isWritable: false },
+            { pubkey: eventAuthority, isSigner: false, isWritable: false },
+            { pubkey: PROGRAMS.PUMP, isSigner: false, isWritable: false },
+            { pubkey: feeConfig, isSigner: false, isWritable: false },
+            { pubkey: PROGRAMS.FEE, isSigner: false, isWritable: false }
+        ];
+        tx.add(new TransactionInstruction({ keys: sellKeys, programId: PROGRAMS.PUMP, data: sellData }));
+    }
+
+    tx.add(createCloseAccountInstruction(associatedUser, creator, creator, [], PROGRAMS.TOKEN_2022));
+    tx.feePayer = creator;
+    return tx;
+}
+
+/**
+ * Initialize dev-buy sell worker
+ * Sells the post-launch dev buy and closes the token account, with retries
+ */
+function initDevSellWorker(deps) {
+    const { connection, devKeypair } = deps;
+
+    const worker = redis.createWorker('devSellQueue', async (job) => {
+        const { mint: mintStr, isMayhemMode, ticker, deployJobId } = job.data;
+        const mint = new PublicKey(mintStr);
+        const creator = devKeypair.publicKey;
+        const associatedUser = pump.getATA(mint, creator, PROGRAMS.TOKEN_2022);
+        const attempts = job.attemptsMade + 1;
+
+        try {
+            const accountInfo = await connection.getAccountInfo(associatedUser);
+            if (!accountInfo) {
+                await database.upsertDevBuySell(mintStr, { status: 'closed', attempts, error: null });
+                return { mint: mintStr, skipped: true };
+            }
+
+            const bal = await connection.getTokenAccountBalance(associatedUser);
+            const tokenAmount = new BN(bal.value.amount);
+
+            const sellTx = buildDevSellTx(mint, creator, tokenAmount, isMayhemMode);
+            const sig = await solana.sendTxWithRetry(sellTx, [devKeypair], {
+                purpose: ledger.LEDGER_PURPOSES.DEV_BUY_SELL,
+                mint: mintStr,
+                jobId: deployJobId
+            });
+
+            // Net SOL change for the dev wallet (sale proceeds + reclaimed rent - fees)
+            let solReceivedLamports = null;
+            try {
+                const confirmed = await connection.getTransaction(sig, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+                if (confirmed?.meta) solReceivedLamports = confirmed.meta.postBalances[0] - confirmed.meta.preBalances[0];
+            } catch (e) {
+                logger.debug('Failed to fetch sell transaction', { signature: sig, error: e.message });
+            }
+
+            const sold = tokenAmount.gtn(0);
+            await database.upsertDevBuySell(mintStr, {
+                status: 'sold',
+                tokensSold: tokenAmount.toString(),
+                solReceivedLamports,
+                sellSignature: sold ? sig : null,
+                closeSignature: sig,
+                attempts,
+                error: null
+            });
+            if (deployJobId) {
+                await database.recordDeployStage(deployJobId, DEPLOY_STAGES.DEV_BUY_SOLD, {
+                    signature: sig,
+                    details: { tokens: tokenAmount.toString(), solReceivedLamports }
+                });
+            }
+
+            logger.info(`Sold & Closed Account for ${ticker || mintStr}`, { signature: sig, tokens: tokenAmount.toString() });
+            return { mint: mintStr, signature: sig, tokensSold: tokenAmount.toString(), solReceivedLamports };
+        } catch (e) {
+            const final = attempts >= (job.opts.attempts || 1);
+            logger.error("Sell error", { mint: mintStr, attempt: attempts, msg: e.message });
+            await database.upsertDevBuySell(mintStr, { status: final ? 'failed' : 'retrying', attempts, error: e.message });
+            if (final && deployJobId) {
+                await database.recordDeployStage(deployJobId, DEPLOY_STAGES.DEV_BUY_SELL_FAILED, { error: e.message });
+            }
+            throw e;
+        }
+    }, { concurrency: 1 });
+
+    logger.info("Dev sell worker initialized");
+    return worker;
+}
+
 function initSocialWorker(deps) {
     const { db } = deps;
     const worker = redis.createWorker('socialQueue', async (job) => {
@@ -176,4 +356,4 @@ function initSocialWorker(deps) {
     return worker;
 }
 
-module.exports = { initDeployWorker, initSocialWorker };
+module.exports = { initDeployWorker, initDevSellWorker, initSocialWorker };